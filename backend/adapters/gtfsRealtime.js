@@ -0,0 +1,158 @@
+import fs from 'node:fs';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import config from '../config.js';
+import logger from '../logger.js';
+
+const log = logger.create('gtfs-rt');
+
+// GTFS-Realtime adapter: one VehiclePositions protobuf feed for the whole network
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+// GTFS route_type to the product names the frontend uses
+// https://developers.google.com/transit/gtfs/reference#routestxt and the extended route types
+const ROUTE_TYPE_PRODUCTS = {
+    0: 'tram',
+    1: 'subway',
+    2: 'regional',
+    3: 'bus',
+    4: 'ferry',
+    100: 'regional',
+    101: 'express',
+    102: 'express',
+    106: 'regional',
+    109: 'suburban',
+    400: 'subway',
+    700: 'bus',
+    900: 'tram',
+    1000: 'ferry'
+};
+
+// route_id -> { name, type } from a static GTFS routes.txt, so vehicles get line names
+let routes = null;
+
+// Minimal CSV line parser, handles quoted fields with commas
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields;
+}
+
+function loadRoutes() {
+    routes = new Map();
+
+    if (!config.GTFS_ROUTES_FILE) {
+        log.warn('No GTFS_ROUTES_FILE configured, using route ids as line names');
+        return;
+    }
+
+    try {
+        const [header, ...lines] = fs.readFileSync(config.GTFS_ROUTES_FILE, 'utf8').split(/\r?\n/);
+        const columns = parseCsvLine(header.replace(/^\uFEFF/, ''));
+        const idIndex = columns.indexOf('route_id');
+        const nameIndex = columns.indexOf('route_short_name');
+        const typeIndex = columns.indexOf('route_type');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            const fields = parseCsvLine(line);
+            routes.set(fields[idIndex], {
+                name: fields[nameIndex],
+                type: ROUTE_TYPE_PRODUCTS[Number(fields[typeIndex])] || 'bus'
+            });
+        }
+
+        log.info('Loaded routes', { routes: routes.size, file: config.GTFS_ROUTES_FILE });
+    } catch (error) {
+        log.error('Could not read routes file', { file: config.GTFS_ROUTES_FILE, error: error.message });
+    }
+}
+
+// Fetch and decode the whole feed
+// Returns { movements, ok }
+
+async function fetchAll() {
+    if (!routes) loadRoutes();
+
+    if (!config.GTFS_RT_URL) {
+        log.error('GTFS_RT_URL is not configured');
+        return { movements: [], ok: false };
+    }
+
+    try {
+        const response = await fetch(config.GTFS_RT_URL, { signal: AbortSignal.timeout(config.FETCH_TIMEOUT_MS) });
+
+        if (!response.ok) {
+            log.error('Feed error', { status: response.status });
+            return { movements: [], ok: false };
+        }
+
+        const feed = FeedMessage.decode(new Uint8Array(await response.arrayBuffer()));
+
+        const movements = feed.entity
+            .map(entity => entity.vehicle)
+            .filter(vehicle => vehicle?.position && vehicle.trip?.tripId)
+            .map(normalise);
+
+        return { movements, ok: true };
+    } catch (error) {
+        log.error('Fetch error', { error: error.message });
+        return { movements: [], ok: false };
+    }
+}
+
+// Transform a VehiclePosition into the shape the cache expects
+function normalise(vehicle) {
+    const routeId = vehicle.trip.routeId;
+    const route = routes.get(routeId);
+
+    return {
+        name: route?.name || routeId || 'unknown',
+        // VehiclePositions carry no headsign, operators often put it in the label
+        direction: vehicle.vehicle?.label || null,
+        tripId: vehicle.trip.tripId,
+        latitude: vehicle.position.latitude,
+        longitude: vehicle.position.longitude,
+        type: route?.type || 'bus',
+        // VehiclePositions carry no stop times
+        delay: null,
+        nextStop: null
+    };
+}
+
+// Forget the loaded routes, used by tests
+function reset() {
+    routes = null;
+}
+
+export default {
+    name: 'gtfs-rt',
+    usesBoundingBoxes: false,
+    fetchAll,
+    reset
+}
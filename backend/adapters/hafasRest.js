@@ -0,0 +1,86 @@
+import config from '../config.js';
+import requestScheduler from '../requestScheduler.js';
+import logger from '../logger.js';
+
+const log = logger.create('poller');
+
+// HAFAS REST adapter: v6.vbb.transport.rest /radar, queried box by box
+
+// Fetch movements for a single bounding box
+// Returns { box, movements, ok, error, latencyMs }, ok is false when the request failed rather than
+// the area being empty. latencyMs is the last attempt's time upstream, without the wait in the queue.
+
+async function fetchBox(box) {
+    const url = `${config.VBB_BASE_URL}/radar?north=${box.north}&west=${box.west}&south=${box.south}&east=${box.east}&results=${config.RADAR_RESULTS}`;
+    let startedAt = null;
+    const latency = () => startedAt === null ? null : Date.now() - startedAt;
+
+    try {
+        // Queued behind the rate limit, the scheduler records the request and retries 429s
+        const response = await requestScheduler.schedule(
+            () => {
+                startedAt = Date.now();
+                return fetch(url, { signal: AbortSignal.timeout(config.FETCH_TIMEOUT_MS) });
+            },
+            { label: `box ${box.id}` }
+        );
+
+        if (!response.ok) {
+            log.error('API error for box', { box: box.id, status: response.status });
+            return { box, movements: [], ok: false, error: `HTTP ${response.status}`, latencyMs: latency() };
+        }
+
+        const data = await response.json();
+
+        return { box, movements: (data.movements || []).map(normalise), ok: true, error: null, latencyMs: latency() };
+
+    } catch (error) {
+        log.error('Fetch error for box', { box: box.id, error: error.message });
+        return { box, movements: [], ok: false, error: error.message, latencyMs: latency() };
+    }
+}
+
+// Transform a /radar movement into the shape the cache expects
+function normalise(movement) {
+    const nextStop = findNextStop(movement.nextStopovers || []);
+
+    return {
+        name: movement.line.name,
+        direction: movement.direction,
+        tripId: movement.tripId,
+        latitude: movement.location.latitude,
+        longitude: movement.location.longitude,
+        type: movement.line.product,
+        // Delay in seconds at the next stop, null when HAFAS has no realtime data
+        delay: nextStop ? nextStop.delay : null,
+        nextStop: nextStop
+    };
+}
+
+// First stopover the vehicle hasn't left yet
+function findNextStop(stopovers, now = Date.now()) {
+    const stopover = stopovers.find(s => {
+        const leaves = s.departure || s.arrival;
+        return leaves && new Date(leaves).getTime() > now;
+    });
+
+    if (!stopover || !stopover.stop) {
+        return null;
+    }
+
+    return {
+        id: stopover.stop.id,
+        name: stopover.stop.name,
+        latitude: stopover.stop.location?.latitude ?? null,
+        longitude: stopover.stop.location?.longitude ?? null,
+        arrival: stopover.arrival || stopover.departure,
+        plannedArrival: stopover.plannedArrival || stopover.plannedDeparture,
+        delay: stopover.arrivalDelay ?? stopover.departureDelay ?? null
+    };
+}
+
+export default {
+    name: 'hafas-rest',
+    usesBoundingBoxes: true,
+    fetchBox
+}
@@ -0,0 +1,27 @@
+import config from '../config.js';
+import hafasRest from './hafasRest.js';
+import gtfsRealtime from './gtfsRealtime.js';
+import replayFile from './replayFile.js';
+
+// Upstream data sources. Every adapter exports:
+//   name              - value for config.DATA_SOURCE
+//   usesBoundingBoxes - true if the poller should query the adaptive grid box by box
+//   fetchBox(box)     - box adapters, resolves { box, movements, ok }
+//   fetchAll()        - whole-feed adapters, resolves { movements, ok }
+// ok is false when the request failed, as opposed to an empty result. Box results may also carry
+// error (message when not ok) and latencyMs for the poller's per-box diagnostics.
+// movements are normalised to { name, direction, tripId, latitude, longitude, type, delay, nextStop },
+// delay (seconds) and nextStop ({ id, name, latitude, longitude, arrival, plannedArrival, delay }) may be null.
+
+const ADAPTERS = [hafasRest, gtfsRealtime, replayFile];
+
+export function getAdapter(name = config.DATA_SOURCE) {
+    const adapter = ADAPTERS.find(a => a.name === name);
+
+    if (!adapter) {
+        const known = ADAPTERS.map(a => a.name).join(', ');
+        throw new Error(`Unknown DATA_SOURCE "${name}" (expected one of: ${known})`);
+    }
+
+    return adapter;
+}
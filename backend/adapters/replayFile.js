@@ -0,0 +1,63 @@
+import fs from 'node:fs';
+import config from '../config.js';
+import history from '../history.js';
+import logger from '../logger.js';
+
+const log = logger.create('replay');
+
+// Replay file adapter: plays back a recorded history file (data/history/*.ndjson), one frame per poll.
+// Useful when the public endpoint is down or for offline development.
+
+let frames = null;
+let frameIndex = 0;
+
+function loadFrames() {
+    frames = [];
+
+    if (!config.REPLAY_FILE) {
+        log.error('REPLAY_FILE is not configured');
+        return;
+    }
+
+    try {
+        const lines = fs.readFileSync(config.REPLAY_FILE, 'utf8').split('\n').filter(Boolean);
+        frames = lines
+            .map(line => history.parseFrame(line, config.REPLAY_FILE))
+            .filter(Boolean);
+        log.info('Loaded frames', { frames: frames.length, file: config.REPLAY_FILE });
+    } catch (error) {
+        log.error('Could not read replay file', { file: config.REPLAY_FILE, error: error.message });
+    }
+}
+
+// Next recorded frame, starting over at the end of the file
+// Returns { movements, ok }
+
+async function fetchAll() {
+    if (!frames) loadFrames();
+
+    if (frames.length === 0) {
+        return { movements: [], ok: false };
+    }
+
+    const frame = frames[frameIndex];
+    frameIndex = (frameIndex + 1) % frames.length;
+
+    // History files don't record delays
+    const movements = frame.movements.map(movement => ({ ...movement, delay: null, nextStop: null }));
+
+    return { movements, ok: true };
+}
+
+// Forget the loaded frames and start over, used by tests
+function reset() {
+    frames = null;
+    frameIndex = 0;
+}
+
+export default {
+    name: 'replay-file',
+    usesBoundingBoxes: false,
+    fetchAll,
+    reset
+}
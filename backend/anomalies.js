@@ -0,0 +1,66 @@
+import config from './config.js';
+import routeIndex from './routeIndex.js';
+import { distanceMeters, MAX_SPEED_MPS } from './motion.js';
+
+// Per-vehicle data anomalies:
+//   jump       moved farther between two polls than any vehicle could
+//   frozen     reported at exactly the same coordinate for many polls, away from its next stop
+//   off-route  far from its line's track geometry
+export const ANOMALY_TYPES = ['jump', 'frozen', 'off-route'];
+
+// Products with track geometry, bus names could collide with tram refs
+const ROUTED_TYPES = new Set(['subway', 'suburban', 'tram']);
+
+// previous is the last cached position (with timestamp), frozenPolls the number of
+// consecutive updates at the same coordinate
+
+function detect(movement, previous, frozenPolls = 0, now = Date.now()) {
+    const flags = [];
+
+    if (previous) {
+        const meters = distanceMeters(previous, movement);
+        const seconds = Math.max(1, (now - new Date(previous.timestamp).getTime()) / 1000);
+
+        if (meters > config.ANOMALY_JUMP_MIN_M && meters / seconds > MAX_SPEED_MPS) {
+            flags.push('jump');
+        }
+    }
+
+    if (frozenPolls >= config.ANOMALY_FROZEN_POLLS) {
+        const stop = movement.nextStop;
+        const atStop = stop?.latitude != null &&
+            distanceMeters(movement, stop) <= config.ANOMALY_STOP_RADIUS_M;
+
+        if (!atStop) {
+            flags.push('frozen');
+        }
+    }
+
+    if (ROUTED_TYPES.has(movement.type)) {
+        const offset = routeIndex.distanceToRoute(movement.name, movement.latitude, movement.longitude);
+        if (offset !== null && offset > config.ANOMALY_OFF_ROUTE_M) {
+            flags.push('off-route');
+        }
+    }
+
+    return flags;
+}
+
+// Counts per anomaly type over lists of flags
+
+function summarise(flagLists) {
+    const summary = { total: 0 };
+    for (const type of ANOMALY_TYPES) summary[type] = 0;
+
+    for (const flags of flagLists) {
+        if (flags.length > 0) summary.total++;
+        for (const flag of flags) summary[flag]++;
+    }
+
+    return summary;
+}
+
+export default {
+    detect,
+    summarise
+}
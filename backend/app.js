@@ -0,0 +1,478 @@
+import express from 'express';
+import cors from 'cors';
+import cache from './cache.js';
+import history from './history.js';
+import boxGrid from './boxGrid.js';
+import requestScheduler from './requestScheduler.js';
+import lineStats from './lineStats.js';
+import vbbClient from './vbbClient.js';
+import disruptions from './disruptions.js';
+import poller from './vbbPoller.js';
+import metrics from './metrics.js';
+import config from './config.js';
+import logger from './logger.js';
+import * as rateLimitTracker from './rateLimitTracker.js';
+
+const app = express();
+
+const log = logger.create('api');
+const httpLog = logger.create('http');
+const streamLog = logger.create('stream');
+
+//cors
+
+const ALLOWED_ORIGINS = config.ALLOWED_ORIGINS;
+
+const corsOptions = {
+    origin: function (origin, callback) {
+        // allow requests with no origin 
+        if (!origin) return callback(null, true);
+
+        if (ALLOWED_ORIGINS.indexOf(origin) !== -1) {
+            callback(null, true);
+        } else {
+            httpLog.warn('Blocked request from origin', { origin });
+            callback(new Error('Not allowed by CORS'));
+        }
+    },
+    credentials: true,
+    optionSuccessStatus: 200
+}
+
+app.use(cors(corsOptions));
+app.use(express.json());
+
+// Request logging middleware. Every request gets a correlation id, taken from the
+// X-Request-Id header when a proxy set one, and echoed back in the response.
+app.use((req, res, next) => {
+    const start = Date.now();
+    const requestId = req.get('X-Request-Id') || logger.newCorrelationId();
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const duration = Date.now() - start;
+        // Matched route pattern, unmatched requests share one label
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        // Event streams stay open for minutes, their duration isn't latency
+        if (res.get('Content-Type') !== 'text/event-stream') {
+            metrics.observeRequest(req.method, route, res.statusCode, duration);
+        }
+
+        // Health checks and scrapes would drown everything else
+        const level = config.LOG_DEBUG_PATHS.includes(req.path) ? 'debug' : 'info';
+        httpLog[level]('Request', {
+            requestId,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: duration
+        });
+    });
+
+    // Route handlers log with the requestId
+    logger.withContext({ requestId }, next);
+});
+
+// Query parameter helpers
+
+// Accepts ISO strings or epoch milliseconds, returns null if invalid
+function parseTime(value) {
+    if (value === undefined) return null;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// bbox=west,south,east,north
+function parseBbox(value) {
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) return null;
+
+    const [west, south, east, north] = parts;
+    if (west >= east || south >= north) return null;
+
+    return { west, south, east, north };
+}
+
+// bbox and types narrow /api/movements and the stream, returns { filter } or { error }
+function parseMovementFilter(query) {
+    const filter = {};
+
+    if (query.bbox !== undefined) {
+        filter.bbox = parseBbox(query.bbox);
+        if (!filter.bbox) {
+            return { error: 'bbox must be west,south,east,north' };
+        }
+    }
+    // An empty list is valid and matches nothing
+    if (query.types !== undefined) {
+        filter.types = new Set(String(query.types).split(',').map(type => type.trim()).filter(Boolean));
+    }
+
+    return { filter: Object.keys(filter).length > 0 ? filter : null };
+}
+
+// Metadata shared by full and delta /api/movements responses
+
+function buildMeta() {
+    const stats = cache.getStats();
+
+    return {
+        count: stats.count,
+        lastUpdated: stats.lastUpdated,
+        ageMs: stats.ageMs,
+        isHealthy: stats.isHealthy,
+        isStale: stats.isStale,
+        version: stats.updateCount
+    };
+}
+
+// Build the /api/movements response body from the cache
+
+function buildMovementsPayload(filter = null) {
+    return {
+        movements: cache.getAll(filter),
+        meta: buildMeta()
+    };
+}
+
+// Changes since a client's version, or a full snapshot if it is too far behind
+
+function buildDeltaPayload(since, filter = null) {
+    const delta = cache.getChangesSince(since, filter);
+
+    if (!delta) {
+        return buildMovementsPayload(filter);
+    }
+
+    return {
+        delta: delta,
+        meta: buildMeta()
+    };
+}
+
+// Return all currently cached vehicle movements, or only the changes with ?since=<version>.
+// ?bbox=west,south,east,north and ?types=tram,bus limit both to part of the fleet.
+app.get('/api/movements', (req, res) => {
+    try {
+        const { filter, error } = parseMovementFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (req.query.since === undefined) {
+            return res.json(buildMovementsPayload(filter));
+        }
+
+        const since = Number(req.query.since);
+        if (!Number.isInteger(since) || since < 0) {
+            return res.status(400).json({ error: 'since must be a non-negative integer' });
+        }
+
+        res.json(buildDeltaPayload(since, filter));
+    } catch (error) {
+        log.error('Request failed', { route: '/api/movements', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+
+});
+
+// Push every cache update to connected clients (Server-Sent Events)
+const STREAM_HEARTBEAT_MS = 15000;
+const streamClients = new Set();
+
+function sendStreamEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+app.get('/api/movements/stream', (req, res) => {
+    const { filter, error } = parseMovementFilter(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tell EventSource how long to wait before reconnecting
+    res.write(`retry: ${config.POLL_INTERVAL_MS}\n\n`);
+
+    // Send the current snapshot right away so the client doesn't wait for the next poll,
+    // afterwards only the changes since the last version this client received
+    let lastVersion = null;
+
+    function sendUpdate() {
+        const payload = lastVersion === null ? buildMovementsPayload(filter) : buildDeltaPayload(lastVersion, filter);
+        sendStreamEvent(res, payload.delta ? 'delta' : 'movements', payload);
+        lastVersion = payload.meta.version;
+    }
+
+    if (cache.getStats().count > 0) {
+        sendUpdate();
+    }
+
+    const unsubscribe = cache.subscribe(sendUpdate);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, STREAM_HEARTBEAT_MS);
+
+    streamClients.add(res);
+    streamLog.info('Client connected', { open: streamClients.size });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        streamClients.delete(res);
+        streamLog.info('Client disconnected', { open: streamClients.size });
+    });
+});
+
+// Recorded vehicle positions, one frame per poll
+app.get('/api/history', async (req, res) => {
+    try {
+        const from = parseTime(req.query.from);
+        const to = req.query.to === undefined ? new Date() : parseTime(req.query.to);
+        if (!from || !to || from >= to) {
+            return res.status(400).json({ error: 'from and to must be valid times with from < to' });
+        }
+        if (to - from > config.HISTORY_MAX_RANGE_MS) {
+            return res.status(400).json({ error: `Range may not exceed ${config.HISTORY_MAX_RANGE_MS}ms` });
+        }
+
+        let bbox = null;
+        if (req.query.bbox !== undefined) {
+            bbox = parseBbox(req.query.bbox);
+            if (!bbox) {
+                return res.status(400).json({ error: 'bbox must be west,south,east,north' });
+            }
+        }
+
+        const frames = await history.query({ from, to, bbox });
+        res.json({
+            frames: frames,
+            meta: {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                count: frames.length
+            }
+        });
+    } catch (error) {
+        log.error('Request failed', { route: '/api/history', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Recorded positions of a single trip
+app.get('/api/trips/:tripId/track', async (req, res) => {
+    try {
+        // Both are optional, but a value that isn't a time is an error rather than the default
+        const to = req.query.to === undefined ? new Date() : parseTime(req.query.to);
+        const from = req.query.from === undefined ? new Date(to - config.HISTORY_TRACK_WINDOW_MS) : parseTime(req.query.from);
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to must be valid times' });
+        }
+        if (from >= to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+
+        const track = await history.getTrack(req.params.tripId, { from, to });
+        if (!track) {
+            return res.status(404).json({ error: 'No recorded positions for this trip' });
+        }
+
+        res.json(track);
+    } catch (error) {
+        log.error('Request failed', { route: '/api/trips/:tripId/track', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// rolling punctuality and headway metrics for one line
+app.get('/api/lines/:name/stats', (req, res) => {
+    try {
+        const stats = lineStats.getLineStats(req.params.name);
+
+        if (!stats) {
+            return res.status(404).json({ error: `No recent data for line ${req.params.name}` });
+        }
+
+        res.json(stats);
+    } catch (error) {
+        log.error('Request failed', { route: '/api/lines/:name/stats', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Stops and departures, proxied from VBB and cached in vbbClient
+
+// Upstream 404s pass through, anything else is a bad gateway
+function sendUpstreamError(res, route, error) {
+    if (error.status === 404) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    if (error.status === 429) {
+        return res.status(429).json({ error: 'Too many lookups, try again shortly' });
+    }
+
+    log.error('Upstream request failed', { route, error: error.message, status: error.status });
+    res.status(502).json({ error: 'VBB API unavailable' });
+}
+
+app.get('/api/stops/nearby', async (req, res) => {
+    const latitude = Number(req.query.latitude);
+    const longitude = Number(req.query.longitude);
+    const distance = req.query.distance === undefined ? 500 : Number(req.query.distance);
+
+    if (req.query.latitude === undefined || req.query.longitude === undefined
+        || isNaN(latitude) || isNaN(longitude) || !(distance > 0)) {
+        return res.status(400).json({ error: 'latitude, longitude and a positive distance are required' });
+    }
+
+    try {
+        const stops = await vbbClient.getNearbyStops({ latitude, longitude, distance });
+        res.json({ stops: stops, meta: { count: stops.length } });
+    } catch (error) {
+        sendUpstreamError(res, '/api/stops/nearby', error);
+    }
+});
+
+app.get('/api/stops/:id/departures', async (req, res) => {
+    try {
+        const departures = await vbbClient.getDepartures(req.params.id);
+        disruptions.recordDepartures(departures);
+        res.json({ departures: departures, meta: { stopId: req.params.id, count: departures.length } });
+    } catch (error) {
+        sendUpstreamError(res, '/api/stops/:id/departures', error);
+    }
+});
+
+// Stop sequence of a single trip, for follow mode
+app.get('/api/trips/:tripId', async (req, res) => {
+    try {
+        const trip = await vbbClient.getTrip(req.params.tripId);
+        disruptions.recordTrip(trip);
+        res.json(trip);
+    } catch (error) {
+        sendUpstreamError(res, '/api/trips/:tripId', error);
+    }
+});
+
+// Warnings and status remarks attached to lines and trips, ?line= for one line
+app.get('/api/disruptions', (req, res) => {
+    try {
+        const list = disruptions.getAll({ line: req.query.line || null });
+        res.json({
+            disruptions: list,
+            meta: { count: list.length, lastRefresh: disruptions.getStats().lastRefresh }
+        });
+    } catch (error) {
+        log.error('Request failed', { route: '/api/disruptions', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// return cache statistics without movement data
+
+app.get('/api/stats', (req, res) => {
+    try {
+        const stats = cache.getStats();
+        res.json(stats);
+
+        log.debug('Stats served', { count: stats.count, ageMs: stats.ageMs });
+    } catch (error) {
+        log.error('Request failed', { route: '/api/stats', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// return VBB API rate limit statistics and request queue state
+app.get('/api/rate-limit', (req, res) => {
+    try {
+        const stats = rateLimitTracker.getStats();
+        res.json({
+            ...stats,
+            scheduler: requestScheduler.getStats()
+        });
+    } catch (error) {
+        log.error('Request failed', { route: '/api/rate-limit', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// return the bounding boxes the poller currently queries
+app.get('/api/poller/grid', (req, res) => {
+    try {
+        res.json(boxGrid.getStats());
+    } catch (error) {
+        log.error('Request failed', { route: '/api/poller/grid', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// return the last status, latency, count and error of every box
+app.get('/api/poller/boxes', (req, res) => {
+    try {
+        res.json(poller.getBoxStats());
+    } catch (error) {
+        log.error('Request failed', { route: '/api/poller/boxes', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Prometheus scrape target
+
+app.get('/metrics', (req, res) => {
+    try {
+        const body = metrics.render({
+            poller: poller.getStats(),
+            cache: cache.getStats(),
+            rateLimit: rateLimitTracker.getStats(),
+            scheduler: requestScheduler.getStats()
+        });
+        res.type('text/plain; version=0.0.4').send(body);
+    } catch (error) {
+        log.error('Request failed', { route: '/metrics', error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// deployment health check
+
+app.get('/health', (req, res) => {
+    const stats = cache.getStats();
+
+    const health = {
+        status: stats.isHealthy ? 'healthy' : 'degraded',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        cache: {
+            count: stats.count,
+            agemMs: stats.ageMs,
+            isHealthy: stats.isHeathy
+        }
+    }
+
+    // Return 503 if cache is stale
+
+    const statusCode = stats.isHealthy ? 200 : 503;
+    res.status(statusCode).json(health);
+
+    if (!stats.isHealthy) {
+        log.warn('Cache unhealthy, returning 503', { ageMs: stats.ageMs });
+    }
+});
+
+// End open event streams, they would otherwise keep server.close() waiting
+
+export function closeStreams() {
+    streamLog.info('Closing stream connections', { open: streamClients.size });
+    streamClients.forEach(client => client.end());
+}
+
+export default app;
@@ -0,0 +1,247 @@
+import config from './config.js';
+import * as rateLimitTracker from './rateLimitTracker.js';
+import logger from './logger.js';
+import { projectMeters } from './motion.js';
+
+const log = logger.create('grid');
+
+const EPSILON = 1e-9;
+
+// Active boxes, starting from the hand-tuned list in config.
+// Split boxes remember their parent (splitFrom), merged boxes their parts (mergedFrom),
+// so every change can be undone when traffic changes.
+let boxes = initialBoxes();
+
+// Movement count per box id from the last poll
+const lastCounts = new Map();
+
+function initialBoxes() {
+    return config.BOUNDING_BOXES.map(box => ({ ...box, depth: 0 }));
+}
+
+// Start over from config.BOUNDING_BOXES, used by tests
+function reset() {
+    boxes = initialBoxes();
+    lastCounts.clear();
+}
+
+// One request per box per poll interval has to fit the scheduler's per-minute budget,
+// leaving the lookup budget and the disruption hub sampling their share
+function maxBoxes() {
+    const pollsPerMinute = 60000 / config.POLL_INTERVAL_MS;
+    const hubsPerMinute = config.DISRUPTION_HUB_STOPS.length * 60000 / config.DISRUPTION_REFRESH_MS;
+    const budget = config.SCHEDULER_MAX_PER_MINUTE - config.LOOKUP_MAX_PER_MINUTE - hubsPerMinute;
+    return Math.floor(budget / pollsPerMinute);
+}
+
+function getBoxes() {
+    return boxes;
+}
+
+// Four quadrants, numbered row by row like the hand-split boxes in config (6-1 .. 6-4)
+
+function quadrants(box) {
+    const latStep = (box.north - box.south) / 2;
+    const lngStep = (box.east - box.west) / 2;
+    const children = [];
+
+    for (let row = 0; row < 2; row++) {
+        for (let col = 0; col < 2; col++) {
+            children.push({
+                id: `${box.id}-${row * 2 + col + 1}`,
+                north: box.north - (row * latStep),
+                south: box.north - ((row + 1) * latStep),
+                west: box.west + (col * lngStep),
+                east: box.west + ((col + 1) * lngStep),
+                depth: box.depth + 1,
+                splitFrom: box,
+                siblings: 4
+            });
+        }
+    }
+
+    return children;
+}
+
+// Two halves across the longer side, for when four quadrants don't fit the budget.
+// Named by compass side (6-n, 6-s) so they never share an id with a quadrant.
+
+function halves(box) {
+    const [west, south] = projectMeters(box.south, box.west);
+    const [east, north] = projectMeters(box.north, box.east);
+    const half = (side, bounds) => ({
+        id: `${box.id}-${side}`,
+        north: box.north,
+        south: box.south,
+        west: box.west,
+        east: box.east,
+        ...bounds,
+        depth: box.depth + 1,
+        splitFrom: box,
+        siblings: 2
+    });
+
+    if (north - south >= east - west) {
+        const middle = (box.north + box.south) / 2;
+        return [half('n', { south: middle }), half('s', { north: middle })];
+    }
+
+    const middle = (box.west + box.east) / 2;
+    return [half('w', { east: middle }), half('e', { west: middle })];
+}
+
+// Quadrants when the budget has room for three more boxes, halves when it has room for one
+function split(box, room) {
+    if (box.depth >= config.GRID_MAX_SPLIT_DEPTH) return null;
+    if (room >= 3) return quadrants(box);
+    if (room >= 1) return halves(box);
+    return null;
+}
+
+// Boxes of equal height side by side, or equal width on top of each other
+function areNeighbours(a, b) {
+    const same = (x, y) => Math.abs(x - y) < EPSILON;
+
+    const sideBySide = same(a.north, b.north) && same(a.south, b.south) &&
+        (same(a.east, b.west) || same(b.east, a.west));
+    const stacked = same(a.west, b.west) && same(a.east, b.east) &&
+        (same(a.south, b.north) || same(b.south, a.north));
+
+    return sideBySide || stacked;
+}
+
+function mergeBoxes(a, b) {
+    return {
+        id: `${a.id}+${b.id}`,
+        north: Math.max(a.north, b.north),
+        south: Math.min(a.south, b.south),
+        west: Math.min(a.west, b.west),
+        east: Math.max(a.east, b.east),
+        depth: Math.min(a.depth, b.depth),
+        mergeDepth: Math.max(a.mergeDepth ?? 0, b.mergeDepth ?? 0) + 1,
+        mergedFrom: [a, b]
+    };
+}
+
+// Adjust the grid after a poll. results: [{ box, count }], count is null when the request failed.
+
+function adjust(results) {
+    for (const { box, count } of results) {
+        lastCounts.set(box.id, count);
+    }
+
+    // Only boxes polled this round have a count fresh enough to merge on
+    const polled = new Set(results.map(result => result.box));
+    const countOf = box => polled.has(box) ? lastCounts.get(box.id) : undefined;
+    const mergeBelow = config.RADAR_RESULTS * config.GRID_MERGE_RATIO;
+    const { isCritical } = rateLimitTracker.getStats();
+    const before = boxes.length;
+    let next = [];
+
+    // Step 1: split truncated boxes while the budget allows
+    let total = boxes.length;
+    for (const box of boxes) {
+        const count = countOf(box);
+        const isTruncated = typeof count === 'number' && count >= config.RADAR_RESULTS;
+
+        if (isTruncated && !isCritical) {
+            const parts = box.mergedFrom || split(box, maxBoxes() - total);
+
+            if (parts && total + parts.length - 1 <= maxBoxes()) {
+                log.info('Box hit the result cap, splitting', { box: box.id, resultCap: config.RADAR_RESULTS, parts: parts.length });
+                total += parts.length - 1;
+                next.push(...parts);
+                continue;
+            }
+
+            log.warn('Box is truncated but can\'t be split further', { box: box.id });
+        }
+
+        next.push(box);
+    }
+
+    // Step 2: fold sparse quadrants or halves back into their parent
+    const parents = new Map();
+    for (const box of next) {
+        if (box.splitFrom) {
+            if (!parents.has(box.splitFrom)) parents.set(box.splitFrom, []);
+            parents.get(box.splitFrom).push(box);
+        }
+    }
+
+    for (const [parent, children] of parents) {
+        if (children.length !== children[0].siblings || children.some(child => typeof countOf(child) !== 'number')) continue;
+
+        const total = children.reduce((sum, child) => sum + countOf(child), 0);
+        if (total < mergeBelow) {
+            log.info('Split boxes are sparse, merging back', { box: parent.id, count: total });
+            next = next.filter(box => !children.includes(box));
+            next.push(parent);
+            lastCounts.set(parent.id, total);
+        }
+    }
+
+    // Step 3: merge sparse neighbouring boxes, one pair per box
+    const isMergeable = box => !box.splitFrom && typeof countOf(box) === 'number' &&
+        (box.mergeDepth ?? 0) < config.GRID_MAX_MERGE_DEPTH;
+    const paired = new Set();
+    const pairs = [];
+
+    for (const a of next) {
+        if (paired.has(a) || !isMergeable(a)) continue;
+
+        const b = next.find(other => other !== a && !paired.has(other) && isMergeable(other) &&
+            areNeighbours(a, other) && countOf(a) + countOf(other) < mergeBelow);
+
+        if (b) {
+            paired.add(a);
+            paired.add(b);
+            pairs.push([a, b]);
+        }
+    }
+
+    if (pairs.length > 0) {
+        next = next.filter(box => !paired.has(box));
+
+        for (const [a, b] of pairs) {
+            const box = mergeBoxes(a, b);
+            log.info('Boxes are sparse, merging', { boxes: [a.id, b.id], into: box.id });
+            lastCounts.set(box.id, countOf(a) + countOf(b));
+            next.push(box);
+        }
+    }
+
+    boxes = next;
+
+    if (boxes.length !== before) {
+        log.info('Grid resized', { boxes: boxes.length, maxBoxes: maxBoxes() });
+    }
+
+    return boxes;
+}
+
+// Active grid for the debugging overlay
+
+function getStats() {
+    return {
+        boxes: boxes.map(box => ({
+            id: box.id,
+            north: box.north,
+            south: box.south,
+            west: box.west,
+            east: box.east,
+            depth: box.depth,
+            lastCount: lastCounts.get(box.id) ?? null
+        })),
+        count: boxes.length,
+        maxBoxes: maxBoxes(),
+        resultCap: config.RADAR_RESULTS
+    };
+}
+
+export default {
+    getBoxes,
+    adjust,
+    getStats,
+    reset
+}
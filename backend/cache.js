@@ -1,7 +1,9 @@
+import config from './config.js';
+import { estimateMotion } from './motion.js';
+import anomalies from './anomalies.js';
+import logger from './logger.js';
 
-function timestamp() {
-    return new Date().toISOString();
-}
+const log = logger.create('cache');
 
 // Private cache state 
 const cache = {
@@ -9,26 +11,91 @@ const cache = {
     lastUpdated: null,
     updateCount: 0,
     lastEmptyUpdate: null,
-    consecutiveEmptyUpdates: 0
+    consecutiveEmptyUpdates: 0,
+    // Set while serving data restored from a snapshot, cleared by the next update
+    restoredFromSnapshot: false,
+    isStale: false
 };
 
+// Changed tripIds per update, newest last, used to answer delta requests
+const changeLog = [];
+
+// Callbacks notified after every successful update
+const listeners = new Set();
+
+// Grid index over current positions: cell key -> Set of tripIds, rebuilt on every update
+const INDEX_CELL_DEGREES = 0.02;
+let spatialIndex = new Map();
+
+function cellOf(latitude, longitude) {
+    return `${Math.floor(latitude / INDEX_CELL_DEGREES)}:${Math.floor(longitude / INDEX_CELL_DEGREES)}`;
+}
+
+function rebuildIndex() {
+    spatialIndex = new Map();
+
+    for (const [tripId, vehicle] of cache.movements) {
+        const key = cellOf(vehicle.current.latitude, vehicle.current.longitude);
+        if (!spatialIndex.has(key)) spatialIndex.set(key, new Set());
+        spatialIndex.get(key).add(tripId);
+    }
+}
+
+// Candidate tripIds for a bbox, null when scanning everything is cheaper
+function indexLookup(bbox) {
+    const south = Math.floor(bbox.south / INDEX_CELL_DEGREES);
+    const north = Math.floor(bbox.north / INDEX_CELL_DEGREES);
+    const west = Math.floor(bbox.west / INDEX_CELL_DEGREES);
+    const east = Math.floor(bbox.east / INDEX_CELL_DEGREES);
+
+    if ((north - south + 1) * (east - west + 1) > spatialIndex.size) {
+        return null;
+    }
+
+    const tripIds = [];
+    for (let lat = south; lat <= north; lat++) {
+        for (let lng = west; lng <= east; lng++) {
+            const cell = spatialIndex.get(`${lat}:${lng}`);
+            if (cell) tripIds.push(...cell);
+        }
+    }
+    return tripIds;
+}
+
+// filter: { bbox: {west, south, east, north}, types: Set }, both optional
+function matchesFilter(vehicle, filter) {
+    const { latitude, longitude, type } = vehicle.current;
+
+    if (filter.types && !filter.types.has(type)) {
+        return false;
+    }
+    if (filter.bbox) {
+        const { west, south, east, north } = filter.bbox;
+        if (latitude < south || latitude > north || longitude < west || longitude > east) {
+            return false;
+        }
+    }
+    return true;
+}
+
 
-// Replace all cached movements with fresh data
+// Replace all cached movements with fresh data.
+// complete is false when some boxes failed, so vehicles in them are missing from this update.
 
-function update(movements) {
+function update(movements, { complete = true } = {}) {
     const previousCount = cache.movements.size;
 
 
     if (movements.length === 0) {
         cache.consecutiveEmptyUpdates++;
-        cache.lastEmptyUpdate = timestamp();
-        console.warn(`[Cache] [${timestamp()}] EMPTY UPDATE RECEIVED`);
+        cache.lastEmptyUpdate = new Date().toISOString();
+        log.warn('Empty update received', { consecutiveEmptyUpdates: cache.consecutiveEmptyUpdates });
         return;
     }
 
     // Reset counter when we get valid data
     if (cache.consecutiveEmptyUpdates > 0) {
-        console.log(`[Cache] [${timestamp()}] DATA RECOVERED after ${cache.consecutiveEmptyUpdates} empty updates`);
+        log.info('Data recovered', { emptyUpdates: cache.consecutiveEmptyUpdates });
     }
     cache.consecutiveEmptyUpdates = 0;
 
@@ -36,14 +103,23 @@ function update(movements) {
     const updatedVehicles = new Map();
     let existingCount = 0;
     let newCount = 0;
+    const changes = { added: [], moved: [], removed: [] };
+    const now = Date.now();
 
     for (const newMovement of movements) {
         const existing = cache.movements.get(newMovement.tripId);
 
         if (existing) {
             existingCount++;
+            // Polls in a row at exactly the same coordinate
+            const frozenPolls = existing.current.latitude === newMovement.latitude &&
+                existing.current.longitude === newMovement.longitude
+                ? (existing.frozenPolls || 0) + 1
+                : 0;
+            const flags = anomalies.detect(newMovement, existing.current, frozenPolls);
+
             //Vehicle exists - shift current to previous
-            updatedVehicles.set(newMovement.tripId, {
+            const vehicle = {
                 current: {
                     ...newMovement,
                     timestamp: new Date()
@@ -53,10 +129,20 @@ function update(movements) {
                     longitude: existing.current.longitude,
                     timestamp: existing.current.timestamp
                 },
-                firstSeen: existing.firstSeen
-            })
+                firstSeen: existing.firstSeen,
+                frozenPolls: frozenPolls,
+                anomalies: flags
+            };
+            updatedVehicles.set(newMovement.tripId, vehicle);
+
+            // Any change to what clients receive is sent as a move, including a vehicle that
+            // stopped (new previous position and motion), the client just replaces the record
+            if (movementKey(vehicle, now) !== movementKey(existing, now)) {
+                changes.moved.push(newMovement.tripId);
+            }
         } else {
             newCount++;
+            changes.added.push(newMovement.tripId);
             // New vehicle - no previous position
             updatedVehicles.set(newMovement.tripId, {
                 current: {
@@ -64,24 +150,63 @@ function update(movements) {
                     timestamp: new Date()
                 },
                 previous: null,
-                firstSeen: new Date()
+                firstSeen: new Date(),
+                frozenPolls: 0,
+                anomalies: anomalies.detect(newMovement, null)
             });
         }
     }
+    for (const tripId of cache.movements.keys()) {
+        if (!updatedVehicles.has(tripId)) {
+            changes.removed.push(tripId);
+        }
+    }
+
     // Step 2: Replace cache with updated data
     cache.movements = updatedVehicles;
     cache.lastUpdated = new Date();
     cache.updateCount += 1;
+    cache.restoredFromSnapshot = false;
+    cache.isStale = false;
+    rebuildIndex();
 
-    console.log(`[Cache] [${timestamp()}] Update #${cache.updateCount}`);
+    changeLog.push({ version: cache.updateCount, ...changes });
+    if (changeLog.length > config.DELTA_HISTORY_SIZE) changeLog.shift();
 
+    log.info('Updated', {
+        version: cache.updateCount,
+        vehicles: cache.movements.size,
+        previous: previousCount,
+        existing: existingCount,
+        added: newCount,
+        removed: changes.removed.length
+    });
+
+    notifyListeners({ complete });
+}
+
+function notifyListeners(update) {
+    for (const listener of listeners) {
+        try {
+            listener(update);
+        } catch (error) {
+            log.error('Listener error', { error });
+        }
+    }
 }
 
+// Register a callback for fresh data, called with { complete }. Returns an unsubscribe function
 
-//Get all current movements as an array
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
 
-function getAll() {
-    return Array.from(cache.movements.values()).map(vehicle => ({
+
+// Shape a cached vehicle for API responses
+
+function toMovement(vehicle, now = Date.now()) {
+    return {
         // Current position data
         name: vehicle.current.name,
         direction: vehicle.current.direction,
@@ -90,12 +215,102 @@ function getAll() {
         longitude: vehicle.current.longitude,
         type: vehicle.current.type,
 
+        // Punctuality, null when unknown
+        delay: vehicle.current.delay ?? null,
+        nextStop: vehicle.current.nextStop ?? null,
+
         // Previous position for animation 
         previousPosition: vehicle.previous ? {
             latitude: vehicle.previous.latitude,
             longitude: vehicle.previous.longitude
-        } : null
-    }));
+        } : null,
+
+        // Speed and heading for extrapolating between polls
+        motion: estimateMotion(vehicle, now),
+
+        // Suspect data: 'jump', 'frozen' and/or 'off-route'
+        anomalies: vehicle.anomalies ?? []
+    };
+}
+
+// Everything a client receives for a vehicle, except when it was observed
+
+function movementKey(vehicle, now) {
+    const movement = toMovement(vehicle, now);
+    if (movement.motion) {
+        movement.motion = { ...movement.motion, observedAt: null };
+    }
+    return JSON.stringify(movement);
+}
+
+//Get all current movements as an array, optionally only those matching a filter
+
+function getAll(filter = null) {
+    if (!filter) {
+        return Array.from(cache.movements.values()).map(vehicle => toMovement(vehicle));
+    }
+
+    const candidates = filter.bbox ? indexLookup(filter.bbox) : null;
+    const vehicles = candidates
+        ? candidates.map(tripId => cache.movements.get(tripId))
+        : Array.from(cache.movements.values());
+
+    return vehicles.filter(vehicle => matchesFilter(vehicle, filter)).map(vehicle => toMovement(vehicle));
+}
+
+// Get added, moved and removed vehicles since the given cache version.
+// Returns null when the version is unknown or too old, callers should then send a full snapshot.
+// With a filter, vehicles that moved out of it are reported as removed.
+
+function getChangesSince(since, filter = null) {
+    if (since > cache.updateCount) {
+        return null;
+    }
+
+    const entries = changeLog.filter(entry => entry.version > since);
+    const oldestKnown = changeLog.length > 0 ? changeLog[0].version - 1 : cache.updateCount;
+    if (since < oldestKnown) {
+        return null;
+    }
+
+    // First change seen per tripId decides whether the client already has it
+    const firstChange = new Map();
+    const removed = new Set();
+    for (const entry of entries) {
+        for (const tripId of entry.added) {
+            if (!firstChange.has(tripId)) firstChange.set(tripId, 'added');
+        }
+        for (const tripId of entry.moved) {
+            if (!firstChange.has(tripId)) firstChange.set(tripId, 'moved');
+        }
+        for (const tripId of entry.removed) {
+            if (!firstChange.has(tripId)) firstChange.set(tripId, 'moved');
+            removed.add(tripId);
+        }
+    }
+
+    const added = [];
+    const moved = [];
+    for (const [tripId, kind] of firstChange) {
+        const vehicle = cache.movements.get(tripId);
+        if (!vehicle) continue;
+
+        removed.delete(tripId);
+
+        if (filter && !matchesFilter(vehicle, filter)) {
+            // The client may still hold it from before it left the filtered area
+            if (kind === 'moved') removed.add(tripId);
+            continue;
+        }
+        (kind === 'added' ? added : moved).push(toMovement(vehicle));
+    }
+
+    return {
+        since,
+        added,
+        moved,
+        removed: Array.from(removed)
+    };
 }
 
 // Get cache statistics
@@ -106,7 +321,7 @@ function getStats() {
 
     // DIAGNOSTIC: Log when cache age is approaching stale threshold
     if (ageMs !== null && ageMs > 12000) {
-        console.warn(`[Cache] Cache aging: ${ageMs}ms (last updated: ${cache.lastUpdated?.toISOString()})`);
+        log.debug('Cache aging', { ageMs, lastUpdated: cache.lastUpdated?.toISOString() });
     }
 
     return {
@@ -114,15 +329,84 @@ function getStats() {
         lastUpdated: cache.lastUpdated?.toISOString() || null,
         ageMs: ageMs,
         updateCount: cache.updateCount,
-        isHealthy: cache.lastUpdated && (now - cache.lastUpdated) < 60000
+        // A fresh snapshot counts as healthy until the first poll after a restart completes
+        isHealthy: (cache.lastUpdated && (now - cache.lastUpdated) < 60000) ||
+            (cache.restoredFromSnapshot && !cache.isStale),
+        isStale: cache.isStale,
+        restoredFromSnapshot: cache.restoredFromSnapshot,
+        // Vehicles flagged per anomaly type
+        anomalies: anomalies.summarise(Array.from(cache.movements.values(), vehicle => vehicle.anomalies ?? []))
     };
 }
 
+// Serializable copy of the cache for persisting to disk
+
+function exportSnapshot() {
+    return {
+        lastUpdated: cache.lastUpdated?.toISOString() || null,
+        updateCount: cache.updateCount,
+        movements: Array.from(cache.movements.entries())
+    };
+}
+
+// Snapshots lag behind the last poll, so the process may have handed out newer versions
+// before it stopped. Skip past every version it could have reached, at most one per poll
+// interval since the snapshot's data, so clients never see a number reused.
+
+function versionsSince(lastUpdated, now = Date.now()) {
+    if (!lastUpdated) return 0;
+    return Math.ceil(Math.max(0, now - lastUpdated.getTime()) / config.POLL_INTERVAL_MS) + 1;
+}
+
+// Replace the cache with a snapshot written by exportSnapshot()
+
+function restoreSnapshot(snapshot, { isStale = false } = {}) {
+    const toDate = value => value ? new Date(value) : null;
+
+    cache.movements = new Map(snapshot.movements.map(([tripId, vehicle]) => [tripId, {
+        current: { ...vehicle.current, timestamp: toDate(vehicle.current.timestamp) },
+        previous: vehicle.previous ? { ...vehicle.previous, timestamp: toDate(vehicle.previous.timestamp) } : null,
+        firstSeen: toDate(vehicle.firstSeen),
+        frozenPolls: vehicle.frozenPolls || 0,
+        anomalies: vehicle.anomalies || []
+    }]));
+    cache.lastUpdated = toDate(snapshot.lastUpdated);
+    cache.updateCount = (snapshot.updateCount || 0) + versionsSince(cache.lastUpdated);
+    cache.restoredFromSnapshot = true;
+    cache.isStale = isStale;
+    rebuildIndex();
+
+    // Versions before the restart are unknown, clients get a full snapshot
+    changeLog.length = 0;
+
+    log.info('Restored from snapshot', { vehicles: cache.movements.size, version: cache.updateCount, isStale });
+}
+
+// Clear all state, used by tests
+
+function reset() {
+    cache.movements = new Map();
+    cache.lastUpdated = null;
+    cache.updateCount = 0;
+    cache.lastEmptyUpdate = null;
+    cache.consecutiveEmptyUpdates = 0;
+    cache.restoredFromSnapshot = false;
+    cache.isStale = false;
+    changeLog.length = 0;
+    listeners.clear();
+    spatialIndex = new Map();
+}
+
 // Export the public functions
 export default {
     update,
     getAll,
-    getStats
+    getChangesSince,
+    getStats,
+    subscribe,
+    exportSnapshot,
+    restoreSnapshot,
+    reset
 }
 
 
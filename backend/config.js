@@ -1,7 +1,23 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Default paths are relative to backend/, whatever the working directory
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
 export default {
     // Server
     PORT: process.env.PORT || 3000,
 
+    // Logging: JSON lines, LOG_LEVEL for every component unless LOG_LEVELS overrides it,
+    // e.g. LOG_LEVELS=poller:debug,http:warn. Levels: debug, info, warn, error, silent
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    LOG_LEVELS: Object.fromEntries((process.env.LOG_LEVELS || '')
+        .split(',')
+        .filter(Boolean)
+        .map(pair => pair.split(':').map(part => part.trim()))),
+    // Requests to these paths are logged at debug level, they are polled constantly
+    LOG_DEBUG_PATHS: process.env.LOG_DEBUG_PATHS?.split(',') || ['/api/rate-limit', '/health', '/metrics'],
+
     // CORS
     ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS?.split(',') || [
         'http://localhost:5500',
@@ -10,11 +26,96 @@ export default {
         'http://127.0.0.1:5500'
     ],
 
+    // Upstream data source: 'hafas-rest' (VBB REST API), 'gtfs-rt' or 'replay-file'
+    DATA_SOURCE: process.env.DATA_SOURCE || 'hafas-rest',
+    // GTFS-Realtime VehiclePositions feed, plus static routes.txt for line names and products
+    GTFS_RT_URL: process.env.GTFS_RT_URL || null,
+    GTFS_ROUTES_FILE: process.env.GTFS_ROUTES_FILE || null,
+    // History file (see HISTORY_DIR) replayed one frame per poll
+    REPLAY_FILE: process.env.REPLAY_FILE || null,
+
     // VBB API
-    VBB_BASE_URL: 'https://v6.vbb.transport.rest',
+    // Point at the mock server (npm run mock) to work offline
+    VBB_BASE_URL: process.env.VBB_BASE_URL || 'https://v6.vbb.transport.rest',
+    // Abort upstream requests that take longer than this
+    FETCH_TIMEOUT_MS: Number(process.env.FETCH_TIMEOUT_MS) || 10000,
     POLL_INTERVAL_MS: 20000,
+    // Max movements /radar returns per box, a box hitting it is probably truncated
+    RADAR_RESULTS: 256,
+
+    // On-demand VBB lookups (stops, departures, trips), cached to spare the rate limit
+    NEARBY_STOPS_TTL_MS: 10 * 60 * 1000,
+    NEARBY_STOPS_MAX_DISTANCE_M: 2000,
+    DEPARTURES_TTL_MS: 30000,
+    DEPARTURES_DURATION_MIN: 30,
+    TRIP_TTL_MS: 30000,
+    // Upstream lookups per minute for all clients together, cache hits are free.
+    // Beyond it cached answers are served stale, or the route answers 429.
+    LOOKUP_MAX_PER_MINUTE: 20,
+    LOOKUP_CACHE_MAX_ENTRIES: 1000,
+
+    // Disruptions: remarks from departure and trip lookups, plus a periodic sample
+    // of departures at these hubs so line-wide warnings show up without user lookups
+    DISRUPTION_HUB_STOPS: [
+        '900000100003', // S+U Alexanderplatz
+        '900000003201', // S+U Berlin Hauptbahnhof
+        '900000100001', // S+U Friedrichstr.
+        '900000023201', // S+U Zoologischer Garten
+        '900000120003', // S Ostkreuz
+        '900000007102', // S+U Gesundbrunnen
+        '900000058101'  // S Südkreuz
+    ],
+    DISRUPTION_REFRESH_MS: 5 * 60 * 1000,
+    // Disruptions not seen again for this long are dropped
+    DISRUPTION_MAX_AGE_MS: 2 * 60 * 60 * 1000,
+
+    // Request scheduler: token bucket in front of every VBB call
+    SCHEDULER_MAX_PER_MINUTE: 90,
+    SCHEDULER_BURST: 10,
+    SCHEDULER_MAX_RETRIES: 3,
+    // Backoff after 429s without Retry-After: base * 2^(n-1), capped
+    SCHEDULER_BACKOFF_BASE_MS: 2000,
+    SCHEDULER_BACKOFF_MAX_MS: 60000,
+
+    // Adaptive grid: boxes split when truncated and merge when sparse, as long as one poll
+    // per interval fits SCHEDULER_MAX_PER_MINUTE minus what lookups and hub sampling need
+    GRID_MAX_SPLIT_DEPTH: 2,
+    // A merged box is merged again at most this many times
+    GRID_MAX_MERGE_DEPTH: 2,
+    // Merge when the combined count is below this share of RADAR_RESULTS
+    GRID_MERGE_RATIO: 0.25,
+
+    // Delta updates: number of cache versions kept for ?since= requests
+    DELTA_HISTORY_SIZE: 15,
+
+    // Cache snapshots: written periodically, reloaded on startup
+    SNAPSHOT_PATH: process.env.SNAPSHOT_PATH || path.join(BACKEND_DIR, 'data/cache-snapshot.json'),
+    SNAPSHOT_INTERVAL_MS: 60000,
+    // Older snapshots are still loaded, but flagged stale
+    SNAPSHOT_MAX_AGE_MS: Number(process.env.SNAPSHOT_MAX_AGE_MS) || 5 * 60 * 1000,
+
+    // Line statistics: rolling window for headways, delays and missing vehicles
+    LINE_STATS_WINDOW_MS: 30 * 60 * 1000,
+
+    // Anomaly detection per vehicle
+    // Jumps: farther than this between polls, and faster than any vehicle could go
+    ANOMALY_JUMP_MIN_M: 1000,
+    // Frozen: same coordinate for this many consecutive polls, unless waiting at its next stop
+    ANOMALY_FROZEN_POLLS: 9,
+    ANOMALY_STOP_RADIUS_M: 150,
+    // Off route: farther than this from the line's track geometry (U-Bahn, S-Bahn, tram)
+    ANOMALY_OFF_ROUTE_M: 500,
+    ROUTE_GEOJSON_DIR: process.env.ROUTE_GEOJSON_DIR || path.join(BACKEND_DIR, '../lines'),
+
+    // Position history: one NDJSON file per hour
+    HISTORY_DIR: process.env.HISTORY_DIR || path.join(BACKEND_DIR, 'data/history'),
+    HISTORY_RETENTION_HOURS: Number(process.env.HISTORY_RETENTION_HOURS) || 24,
+    // Longest range a single /api/history request may cover
+    HISTORY_MAX_RANGE_MS: 60 * 60 * 1000,
+    // Default lookback for /api/trips/:tripId/track
+    HISTORY_TRACK_WINDOW_MS: 3 * 60 * 60 * 1000,
 
-    // Bounding boxes
+    // Bounding boxes the adaptive grid starts from
     BOUNDING_BOXES: [
         // Row 1: Polygons 1, 2, 3 (4 is removed)
         { id: '1', north: 52.6755, south: 52.5913, west: 13.0884, east: 13.2566 },
@@ -0,0 +1,149 @@
+import config from './config.js';
+import vbbClient from './vbbClient.js';
+import logger from './logger.js';
+
+const log = logger.create('disruptions');
+
+// Service disruptions from HAFAS remarks, deduplicated by remark id (or text when
+// there is none). Each entry collects the lines and trips it was attached to:
+//   { id, type, summary, text, validFrom, validUntil, lines, tripIds, firstSeen, lastSeen }
+const disruptions = new Map();
+
+let refreshInterval = null;
+let lastRefresh = null;
+
+function keyOf(remark) {
+    return remark.id ? `id:${remark.id}` : `text:${remark.type}:${remark.summary}:${remark.text}`;
+}
+
+// Merge remarks seen on one line (and trip, if known) into the store
+
+function collect(remarks, { line = null, tripId = null } = {}, now = Date.now()) {
+    for (const remark of remarks) {
+        const key = keyOf(remark);
+
+        if (!disruptions.has(key)) {
+            disruptions.set(key, {
+                ...remark,
+                id: remark.id || key,
+                lines: new Set(),
+                tripIds: new Set(),
+                firstSeen: now,
+                lastSeen: now
+            });
+        }
+
+        const disruption = disruptions.get(key);
+        disruption.lastSeen = now;
+        disruption.validUntil = remark.validUntil ?? disruption.validUntil;
+        if (line) disruption.lines.add(line);
+        if (tripId) disruption.tripIds.add(tripId);
+    }
+}
+
+function recordDepartures(departures, now = Date.now()) {
+    for (const departure of departures) {
+        collect(departure.remarks || [], { line: departure.line.name, tripId: departure.tripId }, now);
+    }
+}
+
+function recordTrip(trip, now = Date.now()) {
+    collect(trip.remarks || [], { line: trip.line.name, tripId: trip.tripId }, now);
+}
+
+// Drop disruptions that have ended or haven't been reported for a while
+
+function prune(now = Date.now()) {
+    for (const [key, disruption] of disruptions) {
+        const ended = disruption.validUntil && new Date(disruption.validUntil).getTime() < now;
+        const unseen = now - disruption.lastSeen > config.DISRUPTION_MAX_AGE_MS;
+
+        if (ended || unseen) {
+            disruptions.delete(key);
+        }
+    }
+}
+
+// Current disruptions, warnings first, optionally only those affecting one line
+
+function getAll({ line = null } = {}, now = Date.now()) {
+    prune(now);
+
+    return Array.from(disruptions.values())
+        .filter(disruption => !line || disruption.lines.has(line))
+        .sort((a, b) => (a.type === b.type ? b.lastSeen - a.lastSeen : a.type === 'warning' ? -1 : 1))
+        .map(disruption => ({
+            id: disruption.id,
+            type: disruption.type,
+            summary: disruption.summary,
+            text: disruption.text,
+            validFrom: disruption.validFrom,
+            validUntil: disruption.validUntil,
+            lines: Array.from(disruption.lines).sort(),
+            tripIds: Array.from(disruption.tripIds),
+            firstSeen: new Date(disruption.firstSeen).toISOString(),
+            lastSeen: new Date(disruption.lastSeen).toISOString()
+        }));
+}
+
+function getStats() {
+    return {
+        count: disruptions.size,
+        lastRefresh: lastRefresh ? new Date(lastRefresh).toISOString() : null
+    };
+}
+
+// Sample departures at the hub stops at low priority, after the poller's requests
+
+async function refresh() {
+    const results = await Promise.allSettled(
+        config.DISRUPTION_HUB_STOPS.map(stopId => vbbClient.getDepartures(stopId, { priority: 'low' }))
+    );
+
+    let failed = 0;
+    for (const result of results) {
+        if (result.status === 'fulfilled') {
+            recordDepartures(result.value);
+        } else {
+            failed++;
+        }
+    }
+
+    lastRefresh = Date.now();
+    prune();
+
+    if (failed > 0) {
+        log.warn('Hub lookups failed', { failed, hubs: results.length });
+    }
+    log.info('Refreshed', { active: disruptions.size });
+}
+
+function start() {
+    log.info('Sampling hubs', { hubs: config.DISRUPTION_HUB_STOPS.length, intervalMs: config.DISRUPTION_REFRESH_MS });
+    refresh();
+    refreshInterval = setInterval(refresh, config.DISRUPTION_REFRESH_MS);
+}
+
+function stop() {
+    if (refreshInterval) {
+        clearInterval(refreshInterval);
+        refreshInterval = null;
+    }
+}
+
+// Clear all state, used by tests
+function reset() {
+    disruptions.clear();
+    lastRefresh = null;
+}
+
+export default {
+    start,
+    stop,
+    refresh,
+    recordDepartures,
+    recordTrip,
+    getAll,
+    getStats,
+    reset
+}
@@ -0,0 +1,179 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import config from './config.js';
+import logger from './logger.js';
+
+const log = logger.create('history');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Appends are chained so frames land in the file in poll order
+let writeQueue = Promise.resolve();
+let currentHour = null;
+
+// Files are named after the UTC hour they cover, e.g. 2026-01-06T14.ndjson
+
+function hourKey(date) {
+    return date.toISOString().slice(0, 13);
+}
+
+function fileForHour(key) {
+    return path.join(config.HISTORY_DIR, `${key}.ndjson`);
+}
+
+// Append one poll's movements as a single frame
+
+function record(movements, time = new Date()) {
+    if (movements.length === 0) {
+        return writeQueue;
+    }
+
+    // Compact rows keep an hour of polls at a manageable size
+    const frame = {
+        t: time.toISOString(),
+        m: movements.map(m => [m.tripId, m.name, m.type, m.direction, m.latitude, m.longitude])
+    };
+
+    const key = hourKey(time);
+    const isNewHour = key !== currentHour;
+    currentHour = key;
+
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(config.HISTORY_DIR, { recursive: true });
+            await fs.promises.appendFile(fileForHour(key), JSON.stringify(frame) + '\n');
+            if (isNewHour) {
+                await prune(time);
+            }
+        })
+        .catch(error => {
+            log.error('Write failed', { error: error.message });
+        });
+
+    return writeQueue;
+}
+
+// Delete hour files older than the retention window
+
+async function prune(now = new Date()) {
+    const cutoff = hourKey(new Date(now.getTime() - config.HISTORY_RETENTION_HOURS * HOUR_MS));
+    const files = await fs.promises.readdir(config.HISTORY_DIR);
+
+    for (const file of files) {
+        if (file.endsWith('.ndjson') && file.slice(0, 13) < cutoff) {
+            await fs.promises.unlink(path.join(config.HISTORY_DIR, file));
+            log.info('Pruned', { file });
+        }
+    }
+}
+
+// Stream the frames between from and to, skipping lines that fail the cheap prefilter
+
+async function* readFrames(from, to, prefilter) {
+    for (let hour = from.getTime() - (from.getTime() % HOUR_MS); hour <= to.getTime(); hour += HOUR_MS) {
+        const file = fileForHour(hourKey(new Date(hour)));
+        if (!fs.existsSync(file)) continue;
+
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line || (prefilter && !line.includes(prefilter))) continue;
+
+            const frame = parseLine(line, file);
+            if (!frame) continue;
+
+            const time = new Date(frame.t);
+            if (time < from || time > to) continue;
+
+            yield { time, rows: frame.m };
+        }
+    }
+}
+
+// A process killed mid-append leaves a torn last line, skip it rather than failing the whole file
+
+function parseLine(line, file) {
+    try {
+        const frame = JSON.parse(line);
+        if (typeof frame.t !== 'string' || !Array.isArray(frame.m)) {
+            throw new Error('Not a history frame');
+        }
+        return frame;
+    } catch (error) {
+        log.warn('Skipping unreadable line', { file, error: error.message });
+        return null;
+    }
+}
+
+// Parse one NDJSON line into { time, movements }, null when it can't be read
+
+function parseFrame(line, file = null) {
+    const frame = parseLine(line, file);
+    return frame ? { time: new Date(frame.t), movements: frame.m.map(toMovement) } : null;
+}
+
+function toMovement(row) {
+    const [tripId, name, type, direction, latitude, longitude] = row;
+    return { tripId, name, type, direction, latitude, longitude };
+}
+
+function inBbox(row, bbox) {
+    const latitude = row[4];
+    const longitude = row[5];
+    return latitude >= bbox.south && latitude <= bbox.north &&
+        longitude >= bbox.west && longitude <= bbox.east;
+}
+
+// Recorded frames between from and to, optionally limited to a bounding box
+
+async function query({ from, to, bbox = null }) {
+    await writeQueue;
+
+    const frames = [];
+    for await (const frame of readFrames(from, to)) {
+        const rows = bbox ? frame.rows.filter(row => inBbox(row, bbox)) : frame.rows;
+        frames.push({
+            time: frame.time.toISOString(),
+            movements: rows.map(toMovement)
+        });
+    }
+
+    return frames;
+}
+
+// Recorded positions of a single trip between from and to
+
+async function getTrack(tripId, { from, to }) {
+    await writeQueue;
+
+    const points = [];
+    let info = null;
+
+    for await (const frame of readFrames(from, to, JSON.stringify(tripId))) {
+        const row = frame.rows.find(r => r[0] === tripId);
+        if (!row) continue;
+
+        const movement = toMovement(row);
+        info = { tripId, name: movement.name, type: movement.type, direction: movement.direction };
+        points.push({
+            time: frame.time.toISOString(),
+            latitude: movement.latitude,
+            longitude: movement.longitude
+        });
+    }
+
+    return info ? { ...info, points } : null;
+}
+
+// Forget the hour last written to, so the next record() prunes again. Used by tests.
+function reset() {
+    currentHour = null;
+}
+
+export default {
+    record,
+    query,
+    getTrack,
+    parseFrame,
+    reset
+}
@@ -0,0 +1,215 @@
+import cache from './cache.js';
+import config from './config.js';
+import logger from './logger.js';
+
+const log = logger.create('line-stats');
+
+// Rolling per-line state, keyed by line name:
+//   trips      - tripId -> { direction, nextStop, lastSeen } for vehicles in the last update
+//   passages   - { stopId, stopName, direction, tripId, time } whenever a vehicle's next stop changes
+//   missing    - vehicles that vanished before reaching their destination
+//   delays     - { time, average } per update
+const lines = new Map();
+
+let unsubscribe = null;
+
+function getLine(name) {
+    if (!lines.has(name)) {
+        lines.set(name, { trips: new Map(), passages: [], missing: [], delays: [], lastSeen: null });
+    }
+    return lines.get(name);
+}
+
+// Feed one cache update into the per-line state. In an incomplete update (some boxes failed)
+// vehicles may be missing only because their box wasn't loaded, so none are reported missing.
+
+function record(movements, now = Date.now(), { complete = true } = {}) {
+    const cutoff = now - config.LINE_STATS_WINDOW_MS;
+    const byLine = new Map();
+
+    for (const movement of movements) {
+        if (!byLine.has(movement.name)) byLine.set(movement.name, []);
+        byLine.get(movement.name).push(movement);
+    }
+
+    // Lines without vehicles this round still need their vanished trips checked
+    for (const name of lines.keys()) {
+        if (!byLine.has(name)) byLine.set(name, []);
+    }
+
+    for (const [name, vehicles] of byLine) {
+        const line = getLine(name);
+        const seen = new Set();
+
+        for (const vehicle of vehicles) {
+            seen.add(vehicle.tripId);
+            const previous = line.trips.get(vehicle.tripId);
+
+            // The next stop moved on, so the vehicle just passed the old one
+            if (previous?.nextStop && previous.nextStop.id !== vehicle.nextStop?.id) {
+                line.passages.push({
+                    stopId: previous.nextStop.id,
+                    stopName: previous.nextStop.name,
+                    direction: vehicle.direction,
+                    tripId: vehicle.tripId,
+                    time: now
+                });
+            }
+
+            line.trips.set(vehicle.tripId, {
+                direction: vehicle.direction,
+                nextStop: vehicle.nextStop,
+                lastSeen: now
+            });
+        }
+
+        // Gone before its next stop was the destination: out of service mid-trip, or lost by the feed
+        for (const [tripId, trip] of line.trips) {
+            if (seen.has(tripId) || !complete) continue;
+
+            if (trip.nextStop && trip.nextStop.name !== trip.direction) {
+                line.missing.push({
+                    tripId,
+                    direction: trip.direction,
+                    lastStop: trip.nextStop.name,
+                    lastSeen: new Date(trip.lastSeen).toISOString(),
+                    time: now
+                });
+            }
+            line.trips.delete(tripId);
+        }
+
+        const knownDelays = vehicles.map(v => v.delay).filter(d => typeof d === 'number');
+        if (knownDelays.length > 0) {
+            line.delays.push({ time: now, average: average(knownDelays) });
+        }
+        if (vehicles.length > 0) {
+            line.lastSeen = now;
+        }
+
+        line.passages = line.passages.filter(p => p.time >= cutoff);
+        line.missing = line.missing.filter(m => m.time >= cutoff);
+        line.delays = line.delays.filter(d => d.time >= cutoff);
+
+        // Forget lines that haven't run for a whole window
+        if (line.lastSeen !== null && line.lastSeen < cutoff) {
+            lines.delete(name);
+        }
+    }
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Gaps between consecutive vehicles passing the same stop in the same direction
+
+function computeHeadways(passages) {
+    const byStop = new Map();
+    for (const passage of passages) {
+        const key = `${passage.direction}|${passage.stopId}`;
+        if (!byStop.has(key)) byStop.set(key, []);
+        byStop.get(key).push(passage);
+    }
+
+    const byDirection = new Map();
+    for (const stopPassages of byStop.values()) {
+        const sorted = stopPassages.sort((a, b) => a.time - b.time);
+
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].tripId === sorted[i - 1].tripId) continue;
+
+            const direction = sorted[i].direction;
+            if (!byDirection.has(direction)) byDirection.set(direction, []);
+            byDirection.get(direction).push({
+                seconds: Math.round((sorted[i].time - sorted[i - 1].time) / 1000),
+                stopName: sorted[i].stopName,
+                time: sorted[i].time
+            });
+        }
+    }
+
+    return Array.from(byDirection, ([direction, gaps]) => {
+        const seconds = gaps.map(g => g.seconds);
+        const typical = median(seconds);
+
+        return {
+            direction,
+            samples: gaps.length,
+            medianSeconds: typical,
+            averageSeconds: Math.round(average(seconds)),
+            minSeconds: Math.min(...seconds),
+            maxSeconds: Math.max(...seconds),
+            // Vehicles arriving far closer together or further apart than usual
+            bunching: gaps.filter(g => g.seconds < typical * 0.25).length,
+            gaps: gaps
+                .filter(g => g.seconds > typical * 2)
+                .map(g => ({ seconds: g.seconds, stopName: g.stopName, time: new Date(g.time).toISOString() }))
+        };
+    });
+}
+
+// Current metrics for one line, null if it hasn't been seen within the window
+
+function getLineStats(name, now = Date.now()) {
+    const line = lines.get(name);
+    if (!line) {
+        return null;
+    }
+
+    const vehicles = cache.getAll().filter(v => v.name === name);
+    const knownDelays = vehicles.map(v => v.delay).filter(d => typeof d === 'number');
+
+    const byDirection = {};
+    for (const vehicle of vehicles) {
+        byDirection[vehicle.direction] = (byDirection[vehicle.direction] || 0) + 1;
+    }
+
+    return {
+        line: name,
+        windowMs: config.LINE_STATS_WINDOW_MS,
+        computedAt: new Date(now).toISOString(),
+        activeVehicles: vehicles.length,
+        vehiclesByDirection: byDirection,
+        averageDelaySeconds: knownDelays.length > 0 ? Math.round(average(knownDelays)) : null,
+        delayedVehicles: knownDelays.filter(d => d >= 5 * 60).length,
+        averageDelayOverWindowSeconds: line.delays.length > 0
+            ? Math.round(average(line.delays.map(d => d.average)))
+            : null,
+        headways: computeHeadways(line.passages),
+        missingVehicles: line.missing.map(({ time, ...missing }) => missing)
+    };
+}
+
+// start collecting from cache updates
+function start() {
+    log.info('Collecting', { windowMs: config.LINE_STATS_WINDOW_MS });
+    unsubscribe = cache.subscribe(({ complete }) => record(cache.getAll(), Date.now(), { complete }));
+}
+
+// stop collecting
+function stop() {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+}
+
+// Clear all state, used by tests
+function reset() {
+    lines.clear();
+}
+
+export default {
+    start,
+    stop,
+    record,
+    getLineStats,
+    reset
+}
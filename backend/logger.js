@@ -0,0 +1,92 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
+import config from './config.js';
+
+// Structured logging: one JSON object per line,
+//   { time, level, component, msg, ...correlation ids, ...fields }
+// Levels are looked up per component on every call (config.LOG_LEVELS, then config.LOG_LEVEL),
+// so they can be changed at runtime. warn and error go to stderr, the rest to stdout.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Correlation ids (requestId, pollId) of the request or poll being handled
+const context = new AsyncLocalStorage();
+
+// Replaced by tests to capture entries
+let writer = null;
+
+function isEnabled(component, level) {
+    const threshold = config.LOG_LEVELS[component] || config.LOG_LEVEL;
+    return LEVELS[level] >= (LEVELS[threshold] ?? LEVELS.info);
+}
+
+// Errors don't survive JSON.stringify, keep what's useful for debugging
+function serialiseField(value) {
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: value.message,
+            ...(value.status !== undefined && { status: value.status }),
+            stack: value.stack
+        };
+    }
+    return value;
+}
+
+function write(component, level, message, fields) {
+    if (!isEnabled(component, level)) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg: message,
+        ...context.getStore()
+    };
+    for (const [key, value] of Object.entries(fields || {})) {
+        entry[key] = serialiseField(value);
+    }
+
+    if (writer) {
+        writer(entry);
+        return;
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+// Logger for one component, e.g. create('poller').info('Poll finished', { durationMs })
+
+function create(component) {
+    return {
+        debug: (message, fields) => write(component, 'debug', message, fields),
+        info: (message, fields) => write(component, 'info', message, fields),
+        warn: (message, fields) => write(component, 'warn', message, fields),
+        error: (message, fields) => write(component, 'error', message, fields),
+        isEnabled: (level) => isEnabled(component, level)
+    };
+}
+
+// Run fn with correlation ids added to every entry logged while it runs, including
+// entries from async work it starts. Nested contexts keep the outer ids.
+
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function newCorrelationId() {
+    return crypto.randomUUID().slice(0, 8);
+}
+
+// Send entries to a function instead of stdout/stderr, null restores them. Used by tests.
+function setWriter(fn) {
+    writer = fn;
+}
+
+export default {
+    create,
+    withContext,
+    newCorrelationId,
+    setWriter
+}
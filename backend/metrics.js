@@ -0,0 +1,174 @@
+// Prometheus metrics in the text exposition format (version 0.0.4).
+// Histograms and counters observed here, gauges read from the other modules' stats
+// when /metrics is scraped.
+
+// Bucket upper bounds in seconds
+const POLL_BUCKETS = [0.5, 1, 2, 5, 10, 15, 20, 30, 60];
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Label values joined into one key -> { labels, buckets, sum, count }
+const pollDurations = new Map();
+const httpDurations = new Map();
+// Label values joined into one key -> { labels, value }
+const boxRequests = new Map();
+
+function keyOf(labels) {
+    return Object.values(labels).join('\u0000');
+}
+
+function observe(histogram, bucketBounds, labels, seconds) {
+    const key = keyOf(labels);
+    if (!histogram.has(key)) {
+        histogram.set(key, { labels, buckets: bucketBounds.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = histogram.get(key);
+    bucketBounds.forEach((bound, i) => {
+        if (seconds <= bound) series.buckets[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+}
+
+function increment(counter, labels) {
+    const key = keyOf(labels);
+    if (!counter.has(key)) counter.set(key, { labels, value: 0 });
+    counter.get(key).value++;
+}
+
+// One poll of all boxes, outcome is 'success', 'empty' or 'failed'
+
+function observePoll(durationMs, outcome) {
+    observe(pollDurations, POLL_BUCKETS, { outcome }, durationMs / 1000);
+}
+
+function recordBoxRequest(boxId, ok) {
+    increment(boxRequests, { box: boxId, result: ok ? 'success' : 'failure' });
+}
+
+// Forget boxes the adaptive grid split or merged away, their ids never come back as they were
+
+function retainBoxes(boxIds) {
+    const active = new Set(boxIds);
+    for (const [key, series] of boxRequests) {
+        if (!active.has(series.labels.box)) boxRequests.delete(key);
+    }
+}
+
+// route is the matched Express path (e.g. /api/trips/:tripId), so ids don't explode the label set
+
+function observeRequest(method, route, status, durationMs) {
+    observe(httpDurations, HTTP_BUCKETS, { method, route, status: String(status) }, durationMs / 1000);
+}
+
+// Exposition format helpers
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return 'NaN';
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    return String(value);
+}
+
+function header(lines, name, type, help) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+}
+
+// samples: [{ labels, value }] or a single value
+function writeMetric(lines, name, type, help, samples) {
+    header(lines, name, type, help);
+    const list = Array.isArray(samples) ? samples : [{ labels: {}, value: samples }];
+    for (const { labels, value } of list) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+function writeHistogram(lines, name, help, histogram, bucketBounds) {
+    header(lines, name, 'histogram', help);
+
+    for (const { labels, buckets, sum, count } of histogram.values()) {
+        bucketBounds.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+}
+
+// Render every metric. Stats objects come from the poller, cache, rate limit tracker
+// and request scheduler, any of them may be left out.
+
+function render({ poller = null, cache = null, rateLimit = null, scheduler = null } = {}) {
+    const lines = [];
+
+    writeHistogram(lines, 'vbb_poll_duration_seconds', 'Duration of one poll over all bounding boxes', pollDurations, POLL_BUCKETS);
+    writeMetric(lines, 'vbb_box_requests_total', 'counter', 'Radar requests per bounding box by result', Array.from(boxRequests.values()));
+
+    if (poller) {
+        writeMetric(lines, 'vbb_polls_total', 'counter', 'Polls by outcome', [
+            { labels: { outcome: 'success' }, value: poller.successfulPolls },
+            { labels: { outcome: 'empty' }, value: poller.emptyPolls },
+            { labels: { outcome: 'failed' }, value: poller.failedPolls }
+        ]);
+        writeMetric(lines, 'vbb_consecutive_empty_polls', 'gauge', 'Current streak of polls that returned no movements', poller.consecutiveEmptyPolls);
+    }
+
+    if (cache) {
+        writeMetric(lines, 'vbb_cache_vehicles', 'gauge', 'Vehicles in the movement cache', cache.count);
+        writeMetric(lines, 'vbb_cache_age_seconds', 'gauge', 'Time since the last cache update', cache.ageMs === null ? null : cache.ageMs / 1000);
+        writeMetric(lines, 'vbb_cache_updates_total', 'counter', 'Cache updates since start', cache.updateCount);
+        writeMetric(lines, 'vbb_cache_healthy', 'gauge', 'Whether the cache is fresh enough to serve', Boolean(cache.isHealthy));
+        writeMetric(lines, 'vbb_cache_stale', 'gauge', 'Whether the cache holds a stale snapshot', Boolean(cache.isStale));
+
+        if (cache.anomalies) {
+            writeMetric(lines, 'vbb_anomalous_vehicles', 'gauge', 'Vehicles flagged per anomaly type',
+                Object.entries(cache.anomalies)
+                    .filter(([type]) => type !== 'total')
+                    .map(([type, value]) => ({ labels: { type }, value })));
+        }
+    }
+
+    if (rateLimit) {
+        writeMetric(lines, 'vbb_rate_limit_requests', 'gauge', 'VBB API requests in the last minute', rateLimit.count);
+        writeMetric(lines, 'vbb_rate_limit_limit', 'gauge', 'VBB API requests allowed per minute', rateLimit.limit);
+        writeMetric(lines, 'vbb_rate_limit_usage_ratio', 'gauge', 'Share of the per-minute limit in use', rateLimit.count / rateLimit.limit);
+    }
+
+    if (scheduler) {
+        writeMetric(lines, 'vbb_scheduler_queue_depth', 'gauge', 'Requests waiting for a rate limit token', scheduler.queueDepth);
+        writeMetric(lines, 'vbb_scheduler_in_flight', 'gauge', 'Requests currently running', scheduler.inFlight);
+        writeMetric(lines, 'vbb_scheduler_throttled_total', 'counter', 'Upstream 429 responses', scheduler.throttled);
+        writeMetric(lines, 'vbb_scheduler_retries_total', 'counter', 'Requests retried after a 429', scheduler.retried);
+        writeMetric(lines, 'vbb_scheduler_backing_off', 'gauge', 'Whether the scheduler is backing off after 429s', Boolean(scheduler.isBackingOff));
+    }
+
+    writeHistogram(lines, 'http_request_duration_seconds', 'HTTP request latency by route', httpDurations, HTTP_BUCKETS);
+
+    return lines.join('\n') + '\n';
+}
+
+// Clear all observations, used by tests
+function reset() {
+    pollDurations.clear();
+    httpDurations.clear();
+    boxRequests.clear();
+}
+
+export default {
+    observePoll,
+    recordBoxRequest,
+    retainBoxes,
+    observeRequest,
+    render,
+    reset
+}
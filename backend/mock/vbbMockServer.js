@@ -0,0 +1,130 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+// Offline stand-in for the VBB REST API. Serves recorded /radar, nearby-stop, departure
+// and trip fixtures and can be scripted to return empty responses, errors, 429s or to
+// hang until the client times out. /gtfs-rt serves whatever protobuf feed is queued.
+//
+// Standalone:  npm run mock, then start the backend with VBB_BASE_URL=http://localhost:4000
+// In tests:    const mock = await startMockVbbServer(); mock.enqueue({ status: 429 }, ...)
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function timestamp() {
+    return new Date().toISOString();
+}
+
+export function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+// Scripted responses: { fixture, body, status, headers, delayMs }, all optional.
+// fixture names a file in mock/fixtures, delayMs holds the response back.
+// A Buffer body is sent as is, as a protobuf feed.
+
+// Endpoints other than /radar, served from a fixed fixture when nothing is queued
+const ROUTES = [
+    { pattern: /^\/locations\/nearby$/, fixture: 'nearby' },
+    { pattern: /^\/stops\/[^/]+\/departures$/, fixture: 'departures' },
+    { pattern: /^\/trips\/[^/]+$/, fixture: 'trip' },
+    { pattern: /^\/gtfs-rt$/, fixture: null }
+];
+
+function resolveBody(response) {
+    if (response.body !== undefined) return response.body;
+    if (response.fixture) return loadFixture(response.fixture);
+    return null;
+}
+
+export function startMockVbbServer({ port = 0, fixture = 'radar', quiet = true } = {}) {
+    // Served when the script queue is empty
+    let defaultResponse = { fixture };
+    const queue = [];
+    const requests = [];
+    const pendingTimers = new Set();
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+        if (!quiet) {
+            console.log(`[Mock] [${timestamp()}] ${req.method} ${url.pathname}${url.search}`);
+        }
+
+        const route = ROUTES.find(r => r.pattern.test(url.pathname));
+
+        if (url.pathname !== '/radar' && !route) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'not found' }));
+            return;
+        }
+
+        const fallback = route ? { fixture: route.fixture } : defaultResponse;
+        const response = queue.length > 0 ? queue.shift() : fallback;
+        const status = response.status || 200;
+
+        const send = () => {
+            pendingTimers.delete(timer);
+            if (res.destroyed) return;
+
+            const body = status === 200 ? resolveBody(response) : { error: `mock status ${status}` };
+            if (Buffer.isBuffer(body)) {
+                res.writeHead(status, { 'Content-Type': 'application/x-protobuf', ...response.headers });
+                res.end(body);
+                return;
+            }
+
+            res.writeHead(status, { 'Content-Type': 'application/json', ...response.headers });
+            res.end(JSON.stringify(body));
+        };
+
+        const timer = setTimeout(send, response.delayMs || 0);
+        pendingTimers.add(timer);
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, () => {
+            const actualPort = server.address().port;
+
+            resolve({
+                url: `http://localhost:${actualPort}`,
+                port: actualPort,
+                requests,
+
+                // Responses for the next requests, in order
+                enqueue(...responses) {
+                    queue.push(...responses);
+                },
+
+                // Response for every /radar request once the queue is empty
+                setDefault(response) {
+                    defaultResponse = response;
+                },
+
+                reset() {
+                    queue.length = 0;
+                    requests.length = 0;
+                    defaultResponse = { fixture };
+                },
+
+                close() {
+                    pendingTimers.forEach(clearTimeout);
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+// Run standalone with `node mock/vbbMockServer.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const mock = await startMockVbbServer({
+        port: Number(process.env.MOCK_PORT) || 4000,
+        fixture: process.env.MOCK_FIXTURE || 'radar',
+        quiet: false
+    });
+    console.log(`[Mock] VBB mock server running on ${mock.url}`);
+}
@@ -0,0 +1,99 @@
+// Speed and heading estimates per trip, for extrapolating positions between polls
+
+const EARTH_RADIUS_M = 6371000;
+// Local flat projection, accurate enough at Berlin's latitude
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LNG = 111320 * Math.cos(52.5 * Math.PI / 180);
+
+// Faster than any vehicle in the network, estimates above this are discarded
+export const MAX_SPEED_MPS = 70;
+// Arrivals closer than this give unstable speeds
+const MIN_TIME_TO_STOP_MS = 5000;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters
+export function distanceMeters(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Position as [x, y] in meters on the flat projection, for geometry over short distances
+export function projectMeters(latitude, longitude) {
+    return [longitude * METERS_PER_DEG_LNG, latitude * METERS_PER_DEG_LAT];
+}
+
+// Initial bearing in degrees, 0 = north, clockwise
+export function bearingDegrees(from, to) {
+    const lat1 = toRadians(from.latitude);
+    const lat2 = toRadians(to.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Speed needed to reach the next stop on time
+function fromStopover(current, now) {
+    const stop = current.nextStop;
+    if (!stop || stop.latitude === null || stop.longitude === null || !stop.arrival) {
+        return null;
+    }
+
+    const timeToStop = new Date(stop.arrival).getTime() - now;
+    if (timeToStop < MIN_TIME_TO_STOP_MS) {
+        return null;
+    }
+
+    const distance = distanceMeters(current, stop);
+    return {
+        speed: distance / (timeToStop / 1000),
+        heading: distance > 0 ? bearingDegrees(current, stop) : null,
+        source: 'stopover'
+    };
+}
+
+// Average speed between the last two polls
+function fromPositions(current, previous) {
+    if (!previous || !previous.timestamp || !current.timestamp) {
+        return null;
+    }
+
+    const elapsed = new Date(current.timestamp) - new Date(previous.timestamp);
+    if (elapsed <= 0) {
+        return null;
+    }
+
+    const distance = distanceMeters(previous, current);
+    return {
+        speed: distance / (elapsed / 1000),
+        heading: distance > 0 ? bearingDegrees(previous, current) : null,
+        source: 'positions'
+    };
+}
+
+// { speed (m/s), heading (degrees), source, observedAt } for a cached vehicle, or null.
+// Prefers upcoming stopovers, which know about stops ahead, over the last movement.
+
+export function estimateMotion(vehicle, now = Date.now()) {
+    const { current, previous } = vehicle;
+
+    const estimate = [fromStopover(current, now), fromPositions(current, previous)]
+        .find(e => e && e.speed <= MAX_SPEED_MPS);
+
+    if (!estimate) {
+        return null;
+    }
+
+    return {
+        speed: Math.round(estimate.speed * 10) / 10,
+        heading: estimate.heading === null ? null : Math.round(estimate.heading),
+        source: estimate.source,
+        observedAt: new Date(current.timestamp).toISOString()
+    };
+}
@@ -0,0 +1,222 @@
+import config from './config.js';
+import * as rateLimitTracker from './rateLimitTracker.js';
+import logger from './logger.js';
+
+const log = logger.create('scheduler');
+
+// Lower number is served first
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+const MAX_THROTTLE_EVENTS = 20;
+
+// Token bucket refilled continuously at the configured rate
+const bucket = {
+    tokens: config.SCHEDULER_BURST,
+    lastRefill: Date.now()
+};
+
+// One FIFO queue per priority
+const queues = { high: [], normal: [], low: [] };
+
+// Throttling state
+let backoffUntil = 0;
+let consecutiveThrottles = 0;
+let drainTimer = null;
+let inFlight = 0;
+
+const counters = {
+    scheduled: 0,
+    dispatched: 0,
+    retried: 0,
+    throttled: 0,
+    gaveUp: 0
+};
+const throttleEvents = [];
+
+function refill() {
+    const now = Date.now();
+    const perMs = config.SCHEDULER_MAX_PER_MINUTE / 60000;
+
+    bucket.tokens = Math.min(config.SCHEDULER_BURST, bucket.tokens + (now - bucket.lastRefill) * perMs);
+    bucket.lastRefill = now;
+}
+
+function queueDepth() {
+    return queues.high.length + queues.normal.length + queues.low.length;
+}
+
+function nextJob() {
+    for (const priority of Object.keys(PRIORITIES)) {
+        if (queues[priority].length > 0) {
+            return queues[priority].shift();
+        }
+    }
+    return null;
+}
+
+function recordThrottle(reason, delayMs) {
+    counters.throttled++;
+    throttleEvents.push({ time: new Date().toISOString(), reason, delayMs });
+    if (throttleEvents.length > MAX_THROTTLE_EVENTS) throttleEvents.shift();
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+
+    const date = new Date(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Wait before trying to dispatch again
+function scheduleDrain(delayMs) {
+    if (drainTimer) return;
+
+    drainTimer = setTimeout(() => {
+        drainTimer = null;
+        drain();
+    }, delayMs);
+}
+
+// Dispatch as many queued jobs as the bucket, the tracker window and any backoff allow
+
+function drain() {
+    while (queueDepth() > 0) {
+        const now = Date.now();
+
+        if (now < backoffUntil) {
+            scheduleDrain(backoffUntil - now);
+            return;
+        }
+
+        // Hard stop at the API's sliding window, whatever the bucket says
+        if (rateLimitTracker.getStats().remaining <= 0) {
+            scheduleDrain(1000);
+            return;
+        }
+
+        refill();
+        if (bucket.tokens < 1) {
+            const perMs = config.SCHEDULER_MAX_PER_MINUTE / 60000;
+            scheduleDrain(Math.ceil((1 - bucket.tokens) / perMs));
+            return;
+        }
+
+        bucket.tokens -= 1;
+        run(nextJob());
+    }
+}
+
+async function run(job) {
+    inFlight++;
+    counters.dispatched++;
+    rateLimitTracker.recordRequest();
+
+    try {
+        const response = await job.task();
+
+        if (response.status === 429 && job.attempt < config.SCHEDULER_MAX_RETRIES) {
+            throttle(job, response);
+            return;
+        }
+
+        if (response.status === 429) {
+            counters.gaveUp++;
+            log.error('Still rate limited, giving up', { label: job.label, attempts: job.attempt + 1 });
+        } else {
+            consecutiveThrottles = 0;
+        }
+
+        job.resolve(response);
+    } catch (error) {
+        job.reject(error);
+    } finally {
+        inFlight--;
+    }
+}
+
+// Pause the whole queue and put the job back at the front of its priority
+
+function throttle(job, response) {
+    consecutiveThrottles++;
+
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    const backoffMs = Math.min(
+        config.SCHEDULER_BACKOFF_MAX_MS,
+        config.SCHEDULER_BACKOFF_BASE_MS * 2 ** (consecutiveThrottles - 1)
+    );
+    const delayMs = retryAfterMs ?? backoffMs;
+
+    backoffUntil = Math.max(backoffUntil, Date.now() + delayMs);
+    // Drop saved-up tokens so we don't burst straight back into the limit
+    bucket.tokens = 0;
+
+    recordThrottle(retryAfterMs !== null ? 'retry-after' : '429', delayMs);
+    log.warn('Rate limited, pausing', { label: job.label, delayMs, retry: job.attempt + 1, maxRetries: config.SCHEDULER_MAX_RETRIES });
+
+    counters.retried++;
+    queues[job.priority].unshift({ ...job, attempt: job.attempt + 1 });
+    drain();
+}
+
+// Queue a request. task must return a fetch Response; the promise resolves with it once it ran.
+
+function schedule(task, { priority = 'normal', label = 'request' } = {}) {
+    if (!(priority in PRIORITIES)) {
+        throw new Error(`Unknown priority: ${priority}`);
+    }
+
+    counters.scheduled++;
+
+    return new Promise((resolve, reject) => {
+        queues[priority].push({ task, priority, label, attempt: 0, resolve, reject });
+        drain();
+    });
+}
+
+function getStats() {
+    refill();
+    const now = Date.now();
+
+    return {
+        queueDepth: queueDepth(),
+        queued: {
+            high: queues.high.length,
+            normal: queues.normal.length,
+            low: queues.low.length
+        },
+        inFlight,
+        tokens: Math.floor(bucket.tokens),
+        maxPerMinute: config.SCHEDULER_MAX_PER_MINUTE,
+        isBackingOff: now < backoffUntil,
+        backoffRemainingMs: Math.max(0, backoffUntil - now),
+        ...counters,
+        recentThrottles: throttleEvents.slice()
+    };
+}
+
+// Drop queued jobs and throttling state, used by tests
+
+function reset() {
+    for (const priority of Object.keys(queues)) {
+        queues[priority].length = 0;
+    }
+    clearTimeout(drainTimer);
+    drainTimer = null;
+    backoffUntil = 0;
+    consecutiveThrottles = 0;
+    bucket.tokens = config.SCHEDULER_BURST;
+    bucket.lastRefill = Date.now();
+    for (const key of Object.keys(counters)) {
+        counters[key] = 0;
+    }
+    throttleEvents.length = 0;
+}
+
+export default {
+    schedule,
+    getStats,
+    reset
+}
@@ -0,0 +1,84 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import config from './config.js';
+import logger from './logger.js';
+import { projectMeters } from './motion.js';
+
+const log = logger.create('routes');
+
+// Track geometry per line ref, from the same GeoJSON files the map draws.
+// Buses have no geometry, so distanceToRoute() returns null for them.
+const ROUTE_FILES = ['ubahn_line.geojson', 's-bahn_lines.geojson', 'tram_line.geojson'];
+
+// ref -> polylines, each an array of [x, y] in meters; loaded on first use
+let routes = null;
+
+function load() {
+    routes = new Map();
+
+    for (const file of ROUTE_FILES) {
+        const filePath = path.join(config.ROUTE_GEOJSON_DIR, file);
+
+        try {
+            const collection = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            for (const feature of collection.features) {
+                const ref = feature.properties?.ref;
+                const geometry = feature.geometry;
+                if (!ref || !geometry) continue;
+
+                const parts = geometry.type === 'LineString' ? [geometry.coordinates]
+                    : geometry.type === 'MultiLineString' ? geometry.coordinates
+                        : [];
+
+                if (!routes.has(ref)) routes.set(ref, []);
+                for (const part of parts) {
+                    // GeoJSON positions are [lng, lat]
+                    routes.get(ref).push(part.map(([lng, lat]) => projectMeters(lat, lng)));
+                }
+            }
+        } catch (error) {
+            log.warn('Could not load route file', { file: filePath, error: error.message });
+        }
+    }
+
+    log.info('Loaded track geometry', { lines: routes.size });
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Meters from the position to the nearest point of the line's track, null without geometry
+
+function distanceToRoute(ref, latitude, longitude) {
+    if (!routes) load();
+
+    const polylines = routes.get(ref);
+    if (!polylines) return null;
+
+    const point = projectMeters(latitude, longitude);
+    let best = Infinity;
+
+    for (const polyline of polylines) {
+        for (let i = 1; i < polyline.length; i++) {
+            best = Math.min(best, distanceToSegment(point, polyline[i - 1], polyline[i]));
+        }
+    }
+
+    return best === Infinity ? null : best;
+}
+
+// Forget loaded geometry, used by tests after changing ROUTE_GEOJSON_DIR
+function reset() {
+    routes = null;
+}
+
+export default {
+    distanceToRoute,
+    reset
+}
@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import cache from './cache.js';
+import config from './config.js';
+import logger from './logger.js';
+
+const log = logger.create('snapshot');
+
+const SNAPSHOT_PATH = config.SNAPSHOT_PATH;
+
+let saveInterval = null;
+let lastSavedVersion = null;
+
+// Load the last snapshot into the cache, flagging it stale if it is too old
+
+function load() {
+    let snapshot;
+
+    try {
+        snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            log.info('No snapshot, starting empty', { path: SNAPSHOT_PATH });
+        } else {
+            log.error('Could not read snapshot', { path: SNAPSHOT_PATH, error: error.message });
+        }
+        return false;
+    }
+
+    if (!snapshot.lastUpdated || !Array.isArray(snapshot.movements)) {
+        log.warn('Ignoring malformed snapshot', { path: SNAPSHOT_PATH });
+        return false;
+    }
+
+    const ageMs = Date.now() - new Date(snapshot.lastUpdated).getTime();
+    const isStale = ageMs > config.SNAPSHOT_MAX_AGE_MS;
+
+    cache.restoreSnapshot(snapshot, { isStale });
+    lastSavedVersion = snapshot.updateCount;
+
+    log.info('Loaded snapshot', { ageMs, isStale });
+    return true;
+}
+
+// Current cache contents, or null if there is nothing new since the last write
+
+function pendingSnapshot() {
+    const snapshot = cache.exportSnapshot();
+
+    if (snapshot.movements.length === 0 || snapshot.updateCount === lastSavedVersion) {
+        return null;
+    }
+
+    return snapshot;
+}
+
+// Write the cache to disk, via a temp file so a crash never leaves a half-written snapshot
+
+async function save() {
+    const snapshot = pendingSnapshot();
+    if (!snapshot) return;
+
+    const tmpPath = `${SNAPSHOT_PATH}.tmp`;
+
+    try {
+        await fs.promises.mkdir(path.dirname(SNAPSHOT_PATH), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), ...snapshot }));
+        await fs.promises.rename(tmpPath, SNAPSHOT_PATH);
+        lastSavedVersion = snapshot.updateCount;
+    } catch (error) {
+        log.error('Save failed', { error: error.message });
+    }
+}
+
+// Synchronous save for the shutdown handler, which can't wait on promises
+
+function saveSync() {
+    const snapshot = pendingSnapshot();
+    if (!snapshot) return;
+
+    try {
+        fs.mkdirSync(path.dirname(SNAPSHOT_PATH), { recursive: true });
+        fs.writeFileSync(`${SNAPSHOT_PATH}.tmp`, JSON.stringify({ savedAt: new Date().toISOString(), ...snapshot }));
+        fs.renameSync(`${SNAPSHOT_PATH}.tmp`, SNAPSHOT_PATH);
+        lastSavedVersion = snapshot.updateCount;
+        log.info('Saved', { movements: snapshot.movements.length });
+    } catch (error) {
+        log.error('Save failed', { error: error.message });
+    }
+}
+
+// start periodic snapshots
+function start() {
+    log.info('Writing periodically', { path: SNAPSHOT_PATH, intervalMs: config.SNAPSHOT_INTERVAL_MS });
+    saveInterval = setInterval(save, config.SNAPSHOT_INTERVAL_MS);
+}
+
+// stop periodic snapshots and write a final one
+function stop() {
+    if (saveInterval) {
+        clearInterval(saveInterval);
+        saveInterval = null;
+    }
+    saveSync();
+}
+
+export default {
+    load,
+    save,
+    start,
+    stop
+}
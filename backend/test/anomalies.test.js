@@ -0,0 +1,90 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import config from '../config.js';
+import anomalies from '../anomalies.js';
+import routeIndex from '../routeIndex.js';
+import cache from '../cache.js';
+
+let routeDir;
+
+// U8 along a meridian, [lng, lat] like the real files
+before(() => {
+    routeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vbb-routes-'));
+    fs.writeFileSync(path.join(routeDir, 'ubahn_line.geojson'), JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            properties: { ref: 'U8' },
+            geometry: { type: 'MultiLineString', coordinates: [[[13.4, 52.45], [13.4, 52.55]]] }
+        }]
+    }));
+    config.ROUTE_GEOJSON_DIR = routeDir;
+});
+
+after(() => {
+    fs.rmSync(routeDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    routeIndex.reset();
+    cache.reset();
+});
+
+function movement(latitude, longitude = 13.4, extra = {}) {
+    return { tripId: 'a', name: 'U8', direction: 'S+U Wittenau', type: 'subway', latitude, longitude, ...extra };
+}
+
+function seenAgo(position, ms) {
+    return { ...position, timestamp: new Date(Date.now() - ms) };
+}
+
+test('distance to route, null for lines without geometry', () => {
+    assert.ok(routeIndex.distanceToRoute('U8', 52.5, 13.4) < 1);
+    // 0.01° of longitude is about 680 m here
+    assert.ok(Math.abs(routeIndex.distanceToRoute('U8', 52.5, 13.41) - 680) < 20);
+    assert.equal(routeIndex.distanceToRoute('U6', 52.5, 13.4), null);
+});
+
+test('flags jumps faster than any vehicle', () => {
+    // 5.5 km in 20 s
+    assert.deepEqual(anomalies.detect(movement(52.55), seenAgo(movement(52.5), 20000)), ['jump']);
+    // Same distance over 5 minutes is plausible
+    assert.deepEqual(anomalies.detect(movement(52.55), seenAgo(movement(52.5), 300000)), []);
+    // Fast but short hops are GPS noise, not jumps
+    assert.deepEqual(anomalies.detect(movement(52.505), seenAgo(movement(52.5), 1000)), []);
+});
+
+test('flags frozen vehicles unless they wait at their next stop', () => {
+    const polls = config.ANOMALY_FROZEN_POLLS;
+
+    assert.deepEqual(anomalies.detect(movement(52.5), null, polls - 1), []);
+    assert.deepEqual(anomalies.detect(movement(52.5), null, polls), ['frozen']);
+
+    const atStop = movement(52.5, 13.4, { nextStop: { id: '1', name: 'Stop', latitude: 52.5005, longitude: 13.4 } });
+    assert.deepEqual(anomalies.detect(atStop, null, polls), []);
+});
+
+test('flags vehicles far from their track, ignoring buses', () => {
+    assert.deepEqual(anomalies.detect(movement(52.5, 13.42), null), ['off-route']);
+    assert.deepEqual(anomalies.detect(movement(52.5, 13.42, { type: 'bus' }), null), []);
+});
+
+test('cache exposes flags on movements and counts them in stats', () => {
+    const frozen = movement(52.5);
+    const offRoute = { ...movement(52.5, 13.42), tripId: 'b' };
+
+    for (let i = 0; i <= config.ANOMALY_FROZEN_POLLS; i++) {
+        cache.update([frozen, offRoute]);
+    }
+
+    const byTrip = Object.fromEntries(cache.getAll().map(v => [v.tripId, v.anomalies]));
+    assert.deepEqual(byTrip, { a: ['frozen'], b: ['frozen', 'off-route'] });
+    assert.deepEqual(cache.getStats().anomalies, { total: 2, jump: 0, frozen: 2, 'off-route': 1 });
+
+    // Newly frozen is a change the client needs to hear about
+    const version = cache.getStats().updateCount;
+    assert.deepEqual(cache.getChangesSince(version - 1).moved.map(v => v.tripId), ['a', 'b']);
+});
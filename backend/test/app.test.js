@@ -0,0 +1,218 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import app, { closeStreams } from '../app.js';
+import cache from '../cache.js';
+import config from '../config.js';
+import logger from '../logger.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    closeStreams();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    cache.reset();
+});
+
+function movement(tripId, latitude) {
+    return { tripId, name: 'M10', direction: 'S+U Warschauer Str.', type: 'tram', latitude, longitude: 13.4 };
+}
+
+test('/health returns 503 while the cache is empty', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    const body = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(body.status, 'degraded');
+});
+
+test('/health returns 200 after an update', async () => {
+    cache.update([movement('a', 52.5)]);
+
+    const response = await fetch(`${baseUrl}/health`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.cache.count, 1);
+});
+
+test('/api/movements returns the cache with its version', async () => {
+    cache.update([movement('a', 52.5)]);
+
+    const body = await (await fetch(`${baseUrl}/api/movements`)).json();
+
+    assert.equal(body.movements.length, 1);
+    assert.equal(body.meta.version, 1);
+});
+
+test('/api/movements?since returns a delta', async () => {
+    cache.update([movement('a', 52.5)]);
+    cache.update([movement('a', 52.51), movement('b', 52.6)]);
+
+    const body = await (await fetch(`${baseUrl}/api/movements?since=1`)).json();
+
+    assert.deepEqual(body.delta.added.map(v => v.tripId), ['b']);
+    assert.deepEqual(body.delta.moved.map(v => v.tripId), ['a']);
+    assert.equal(body.meta.version, 2);
+
+    const invalid = await fetch(`${baseUrl}/api/movements?since=abc`);
+    assert.equal(invalid.status, 400);
+});
+
+test('/api/movements filters by bbox and types', async () => {
+    cache.update([movement('a', 52.5), { ...movement('b', 52.51), type: 'bus' }, movement('c', 52.7)]);
+
+    const inBox = await (await fetch(`${baseUrl}/api/movements?bbox=13.3,52.45,13.5,52.55`)).json();
+    assert.deepEqual(inBox.movements.map(v => v.tripId).sort(), ['a', 'b']);
+
+    const trams = await (await fetch(`${baseUrl}/api/movements?bbox=13.3,52.45,13.5,52.55&types=tram`)).json();
+    assert.deepEqual(trams.movements.map(v => v.tripId), ['a']);
+
+    const invalid = await fetch(`${baseUrl}/api/movements?bbox=13.5,52.45,13.3,52.55`);
+    assert.equal(invalid.status, 400);
+});
+
+test('CORS allows configured origins', async () => {
+    const origin = config.ALLOWED_ORIGINS[0];
+    const response = await fetch(`${baseUrl}/api/stats`, { headers: { Origin: origin } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), origin);
+});
+
+test('CORS blocks other origins', async () => {
+    const response = await fetch(`${baseUrl}/api/stats`, { headers: { Origin: 'https://evil.example' } });
+
+    assert.notEqual(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), null);
+});
+
+test('requests without an origin are allowed', async () => {
+    const response = await fetch(`${baseUrl}/api/rate-limit`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.limit, 100);
+    assert.ok('queueDepth' in body.scheduler);
+});
+
+test('/metrics serves Prometheus text with route latency', async () => {
+    cache.update([movement('a', 52.5)]);
+    await fetch(`${baseUrl}/api/movements`);
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.match(text, /^vbb_cache_vehicles 1$/m);
+    assert.match(text, /^vbb_polls_total\{outcome="success"\} \d+$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/movements",status="200"\} \d+$/m);
+});
+
+test('responses carry a request id, reusing the one sent', async () => {
+    const generated = await fetch(`${baseUrl}/api/stats`);
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f]{8}$/);
+
+    const forwarded = await fetch(`${baseUrl}/api/stats`, { headers: { 'X-Request-Id': 'abc-123' } });
+    assert.equal(forwarded.headers.get('x-request-id'), 'abc-123');
+});
+
+test('/api/history validates the time range and bbox', async () => {
+    const queries = [
+        '',
+        'from=yesterday',
+        'from=2026-01-06T15:00:00Z&to=2026-01-06T14:00:00Z',
+        'from=2026-01-06T14:00:00Z&to=2026-01-06T14:00:00Z',
+        'from=2026-01-06T12:00:00Z&to=2026-01-06T14:00:00Z',
+        'from=2026-01-06T14:00:00Z&to=2026-01-06T14:30:00Z&bbox=1,2'
+    ];
+
+    for (const query of queries) {
+        const response = await fetch(`${baseUrl}/api/history?${query}`);
+        assert.equal(response.status, 400, query);
+    }
+});
+
+test('/api/trips/:tripId/track rejects times it can\'t read', async () => {
+    for (const query of ['from=yesterday', 'to=soon', 'from=2026-01-06T15:00:00Z&to=2026-01-06T14:00:00Z']) {
+        const response = await fetch(`${baseUrl}/api/trips/1%7C2%7C3/track?${query}`);
+        assert.equal(response.status, 400, query);
+    }
+});
+
+// Read Server-Sent Events from a fetch body until count have arrived
+async function readEvents(reader, count) {
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+
+    while (events.length < count) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+            const event = block.match(/^event: (.*)$/m);
+            const data = block.match(/^data: (.*)$/m);
+            if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+    }
+
+    return events;
+}
+
+test('/api/movements/stream sends a snapshot, then deltas, and unsubscribes on close', async () => {
+    const entries = [];
+    logger.setWriter(entry => entries.push(entry));
+    const controller = new AbortController();
+
+    try {
+        cache.update([movement('a', 52.5), movement('b', 52.7)]);
+        const bbox = '13.3,52.45,13.5,52.55';
+        const response = await fetch(`${baseUrl}/api/movements/stream?bbox=${bbox}`, { signal: controller.signal });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        const reader = response.body.getReader();
+        const [snapshot] = await readEvents(reader, 1);
+        assert.equal(snapshot.event, 'movements');
+        assert.deepEqual(snapshot.data.movements.map(v => v.tripId), ['a']);
+
+        cache.update([movement('a', 52.51), movement('b', 52.7), movement('c', 52.52)]);
+        const [delta] = await readEvents(reader, 1);
+        assert.equal(delta.event, 'delta');
+        assert.deepEqual(delta.data.delta.added.map(v => v.tripId), ['c']);
+        assert.deepEqual(delta.data.delta.moved.map(v => v.tripId), ['a']);
+        assert.equal(delta.data.meta.version, snapshot.data.meta.version + 1);
+
+        controller.abort();
+        while (!entries.some(entry => entry.msg === 'Client disconnected')) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.equal(entries.find(entry => entry.msg === 'Client disconnected').open, 0);
+    } finally {
+        controller.abort();
+        logger.setWriter(null);
+    }
+});
+
+test('/api/movements/stream rejects a bad bbox', async () => {
+    const response = await fetch(`${baseUrl}/api/movements/stream?bbox=1,2,3`);
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /bbox/);
+});
@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import boxGrid from '../boxGrid.js';
+import * as rateLimitTracker from '../rateLimitTracker.js';
+
+const boundingBoxes = config.BOUNDING_BOXES;
+
+// Eight boxes in a row
+const eightBoxes = Array.from({ length: 8 }, (_, i) => ({
+    id: String(i + 1), north: 52.6, south: 52.5, west: 13 + i * 0.1, east: 13.1 + i * 0.1
+}));
+
+before(() => {
+    config.BOUNDING_BOXES = eightBoxes;
+});
+
+after(() => {
+    config.BOUNDING_BOXES = boundingBoxes;
+});
+
+beforeEach(() => {
+    rateLimitTracker.reset();
+    boxGrid.reset();
+});
+
+function pollEmpty() {
+    return boxGrid.adjust(boxGrid.getBoxes().map(box => ({ box, count: 0 })));
+}
+
+// One truncated box, the others too busy to merge
+function pollTruncated(id) {
+    return boxGrid.adjust(boxGrid.getBoxes().map(box => ({
+        box,
+        count: box.id === id ? config.RADAR_RESULTS : config.RADAR_RESULTS / 2
+    })));
+}
+
+test('truncated boxes split into quadrants', () => {
+    const boxes = pollTruncated('1');
+
+    assert.equal(boxes.length, 11);
+    const quadrants = boxes.filter(box => box.id.startsWith('1-'));
+    assert.deepEqual(quadrants.map(box => box.id), ['1-1', '1-2', '1-3', '1-4']);
+    assert.deepEqual(quadrants.map(box => [box.north, box.west]), [[52.6, 13], [52.6, 13.05], [52.55, 13], [52.55, 13.05]]);
+    assert.ok(quadrants.every(box => box.depth === 1));
+
+    // Sparse again, folded back into the original box
+    const merged = boxGrid.adjust(boxes.map(box => ({ box, count: box.id.startsWith('1-') ? 0 : config.RADAR_RESULTS / 2 })));
+    assert.deepEqual(merged.map(box => box.id).sort(), ['1', '2', '3', '4', '5', '6', '7', '8']);
+});
+
+test('truncated boxes split in half when quadrants don\'t fit the budget', () => {
+    config.BOUNDING_BOXES = boundingBoxes;
+    boxGrid.reset();
+
+    try {
+        // The configured grid leaves room for one more box
+        assert.equal(boxGrid.getStats().maxBoxes - boundingBoxes.length, 1);
+
+        const target = boundingBoxes[0];
+        const boxes = pollTruncated(target.id);
+
+        assert.equal(boxes.length, boundingBoxes.length + 1);
+        // About 11 km wide and 9 km high, so split down the middle
+        const [west, east] = boxes.filter(box => box.splitFrom?.id === target.id);
+        assert.deepEqual([west.id, east.id], [`${target.id}-w`, `${target.id}-e`]);
+        assert.deepEqual([west.west, west.east, east.east], [target.west, (target.west + target.east) / 2, target.east]);
+        assert.equal(east.west, west.east);
+        assert.deepEqual([west.north, west.south], [target.north, target.south]);
+    } finally {
+        config.BOUNDING_BOXES = eightBoxes;
+    }
+});
+
+test('merged boxes stop merging at GRID_MAX_MERGE_DEPTH', () => {
+    const maxMergeDepth = config.GRID_MAX_MERGE_DEPTH;
+    config.GRID_MAX_MERGE_DEPTH = 1;
+
+    try {
+        assert.equal(pollEmpty().length, 4);
+        assert.equal(pollEmpty().length, 4);
+    } finally {
+        config.GRID_MAX_MERGE_DEPTH = maxMergeDepth;
+    }
+
+    // One more level lets the pairs merge once more
+    assert.equal(pollEmpty().length, 2);
+    assert.equal(pollEmpty().length, 2);
+});
+
+test('the grid leaves room for lookups and hub sampling', () => {
+    const pollsPerMinute = 60000 / config.POLL_INTERVAL_MS;
+    const gridRequests = boxGrid.getStats().maxBoxes * pollsPerMinute;
+
+    assert.ok(gridRequests + config.LOOKUP_MAX_PER_MINUTE <= config.SCHEDULER_MAX_PER_MINUTE);
+});
@@ -0,0 +1,182 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cache from '../cache.js';
+
+function movement(tripId, latitude, longitude = 13.4) {
+    return { tripId, name: 'U8', direction: 'S+U Wittenau', type: 'subway', latitude, longitude };
+}
+
+beforeEach(() => {
+    cache.reset();
+});
+
+test('new vehicles have no previous position', () => {
+    cache.update([movement('a', 52.5)]);
+
+    const [vehicle] = cache.getAll();
+    assert.equal(vehicle.tripId, 'a');
+    assert.equal(vehicle.previousPosition, null);
+});
+
+test('update shifts the current position to previous', () => {
+    cache.update([movement('a', 52.5, 13.4)]);
+    cache.update([movement('a', 52.51, 13.41)]);
+
+    const [vehicle] = cache.getAll();
+    assert.equal(vehicle.latitude, 52.51);
+    assert.equal(vehicle.longitude, 13.41);
+    assert.deepEqual(vehicle.previousPosition, { latitude: 52.5, longitude: 13.4 });
+});
+
+test('vehicles missing from an update are dropped', () => {
+    cache.update([movement('a', 52.5), movement('b', 52.6)]);
+    cache.update([movement('b', 52.61)]);
+
+    assert.deepEqual(cache.getAll().map(v => v.tripId), ['b']);
+});
+
+test('empty updates keep the previous data', () => {
+    cache.update([movement('a', 52.5)]);
+    const before = cache.getStats();
+
+    cache.update([]);
+
+    const after = cache.getStats();
+    assert.equal(after.count, 1);
+    assert.equal(after.updateCount, before.updateCount);
+    assert.equal(after.lastUpdated, before.lastUpdated);
+});
+
+test('getChangesSince returns added, moved and removed tripIds', () => {
+    cache.update([movement('a', 52.5), movement('b', 52.6)]);
+    cache.update([movement('a', 52.51), movement('b', 52.6), movement('c', 52.7)]);
+    cache.update([movement('a', 52.52), movement('c', 52.7)]);
+
+    const delta = cache.getChangesSince(1);
+    assert.deepEqual(delta.added.map(v => v.tripId), ['c']);
+    assert.deepEqual(delta.moved.map(v => v.tripId), ['a']);
+    assert.deepEqual(delta.removed, ['b']);
+
+    assert.deepEqual(cache.getChangesSince(3), { since: 3, added: [], moved: [], removed: [] });
+    assert.equal(cache.getChangesSince(4), null);
+});
+
+test('getAll filters by bounding box and type', () => {
+    cache.update([
+        movement('a', 52.50, 13.40),
+        movement('b', 52.52, 13.45),
+        { ...movement('c', 52.505, 13.405), type: 'tram' },
+        movement('d', 52.70, 13.10)
+    ]);
+    const bbox = { west: 13.35, south: 52.45, east: 13.5, north: 52.55 };
+
+    assert.deepEqual(cache.getAll({ bbox }).map(v => v.tripId).sort(), ['a', 'b', 'c']);
+    assert.deepEqual(cache.getAll({ bbox, types: new Set(['subway']) }).map(v => v.tripId).sort(), ['a', 'b']);
+    assert.deepEqual(cache.getAll({ types: new Set(['tram']) }).map(v => v.tripId), ['c']);
+
+    // Larger than the index, falls back to a scan
+    const world = { west: -180, south: -90, east: 180, north: 90 };
+    assert.equal(cache.getAll({ bbox: world }).length, 4);
+});
+
+test('filtered deltas report vehicles leaving the area as removed', () => {
+    cache.update([movement('a', 52.50), movement('b', 52.51)]);
+    cache.update([movement('a', 52.60), movement('b', 52.511), movement('c', 52.70)]);
+
+    const bbox = { west: 13.3, south: 52.45, east: 13.5, north: 52.55 };
+    const delta = cache.getChangesSince(1, { bbox });
+
+    assert.deepEqual(delta.added, []);
+    assert.deepEqual(delta.moved.map(v => v.tripId), ['b']);
+    assert.deepEqual(delta.removed, ['a']);
+});
+
+test('delay changes are reported as moves', () => {
+    cache.update([{ ...movement('a', 52.5), delay: 0 }]);
+    cache.update([{ ...movement('a', 52.5), delay: 120 }]);
+
+    const delta = cache.getChangesSince(1);
+    assert.deepEqual(delta.moved.map(v => v.tripId), ['a']);
+    assert.equal(delta.moved[0].delay, 120);
+});
+
+test('vehicles that stop are reported once with their new motion', (t) => {
+    // Polls 20 s apart, motion is estimated from the elapsed time
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const poll = (latitude) => {
+        t.mock.timers.tick(20000);
+        cache.update([movement('a', latitude)]);
+    };
+
+    poll(52.5);
+    poll(52.501);
+    poll(52.501);
+
+    const delta = cache.getChangesSince(2);
+    assert.deepEqual(delta.moved.map(v => v.tripId), ['a']);
+    assert.deepEqual(delta.moved[0].previousPosition, { latitude: 52.501, longitude: 13.4 });
+    assert.equal(delta.moved[0].motion.speed, 0);
+
+    // Standing still again changes nothing
+    poll(52.501);
+    assert.deepEqual(cache.getChangesSince(3).moved, []);
+});
+
+test('full snapshots estimate motion at the current time', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-06T14:00:00Z') });
+    // About 1.1 km to go in one minute
+    const nextStop = { id: '900000007103', name: 'U Pankstr.', latitude: 52.51, longitude: 13.4, arrival: '2026-01-06T14:01:00Z' };
+    cache.update([{ ...movement('a', 52.5), nextStop }]);
+
+    const [vehicle] = cache.getAll();
+    assert.equal(vehicle.motion.source, 'stopover');
+    assert.equal(vehicle.motion.speed, 18.5);
+    assert.deepEqual(cache.getAll({ types: new Set(['subway']) })[0].motion, vehicle.motion);
+});
+
+test('subscribers are notified after non-empty updates only', () => {
+    let calls = 0;
+    const unsubscribe = cache.subscribe(() => calls++);
+
+    cache.update([movement('a', 52.5)]);
+    cache.update([]);
+    unsubscribe();
+    cache.update([movement('a', 52.51)]);
+
+    assert.equal(calls, 1);
+});
+
+test('snapshots keep previous positions and firstSeen', () => {
+    cache.update([movement('a', 52.5)]);
+    cache.update([movement('a', 52.51)]);
+    const snapshot = JSON.parse(JSON.stringify(cache.exportSnapshot()));
+
+    cache.reset();
+    cache.restoreSnapshot(snapshot);
+
+    const [vehicle] = cache.getAll();
+    assert.deepEqual(vehicle.previousPosition, { latitude: 52.5, longitude: 13.4 });
+    assert.equal(cache.getStats().restoredFromSnapshot, true);
+
+    // The first poll after a restart animates from the restored position
+    cache.update([movement('a', 52.52)]);
+    assert.deepEqual(cache.getAll()[0].previousPosition, { latitude: 52.51, longitude: 13.4 });
+    assert.equal(cache.getStats().restoredFromSnapshot, false);
+});
+
+test('versions after a restore skip every version the old process could have reached', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    cache.update([movement('a', 52.5)]);
+    const snapshot = JSON.parse(JSON.stringify(cache.exportSnapshot()));
+
+    // The old process kept polling for a minute after the snapshot: versions 2, 3 and 4
+    t.mock.timers.tick(60000);
+    cache.reset();
+    cache.restoreSnapshot(snapshot);
+
+    // Clients holding any of them get a full snapshot instead of a delta
+    assert.ok(cache.getStats().updateCount > 4);
+    for (const since of [1, 2, 3, 4]) {
+        assert.equal(cache.getChangesSince(since), null);
+    }
+});
@@ -0,0 +1,80 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import disruptions from '../disruptions.js';
+import vbbClient from '../vbbClient.js';
+import requestScheduler from '../requestScheduler.js';
+import * as rateLimitTracker from '../rateLimitTracker.js';
+import { startMockVbbServer } from '../mock/vbbMockServer.js';
+
+let mock;
+
+before(async () => {
+    mock = await startMockVbbServer();
+    config.VBB_BASE_URL = mock.url;
+    config.FETCH_TIMEOUT_MS = 200;
+    config.DISRUPTION_HUB_STOPS = ['900000100001', '900000100003'];
+});
+
+after(async () => {
+    await mock.close();
+});
+
+beforeEach(() => {
+    mock.reset();
+    disruptions.reset();
+    vbbClient.reset();
+    requestScheduler.reset();
+    rateLimitTracker.reset();
+});
+
+function remark(id, overrides = {}) {
+    return { id, type: 'warning', summary: `Warning ${id}`, text: 'Text', validFrom: null, validUntil: null, ...overrides };
+}
+
+test('refresh samples the hub stops and drops hints', async () => {
+    await disruptions.refresh();
+
+    assert.equal(mock.requests.filter(r => r.path.endsWith('/departures')).length, 2);
+
+    const list = disruptions.getAll();
+    assert.equal(list.length, 2);
+    assert.equal(list[0].type, 'warning');
+    assert.equal(list[0].summary, 'Bauarbeiten: Unter den Linden');
+    assert.equal(list[1].type, 'status');
+    assert.ok(disruptions.getStats().lastRefresh);
+});
+
+test('the same remark on several lines is one disruption', async () => {
+    await disruptions.refresh();
+
+    const [warning] = disruptions.getAll();
+    assert.deepEqual(warning.lines, ['100', 'S3']);
+    assert.equal(warning.tripIds.length, 2);
+});
+
+test('filters by line', () => {
+    disruptions.recordTrip({ tripId: 't1', line: { name: 'U8' }, remarks: [remark('a')] });
+    disruptions.recordTrip({ tripId: 't2', line: { name: 'M10' }, remarks: [remark('b')] });
+
+    assert.deepEqual(disruptions.getAll({ line: 'U8' }).map(d => d.id), ['a']);
+});
+
+test('remarks without an id are deduplicated by their text', () => {
+    const statusRemark = { id: null, type: 'status', summary: null, text: 'Halt entfällt', validFrom: null, validUntil: null };
+    disruptions.recordTrip({ tripId: 't1', line: { name: 'U6' }, remarks: [statusRemark] });
+    disruptions.recordTrip({ tripId: 't2', line: { name: 'U6' }, remarks: [statusRemark] });
+
+    const list = disruptions.getAll();
+    assert.equal(list.length, 1);
+    assert.equal(list[0].tripIds.length, 2);
+});
+
+test('ended and long unseen disruptions are dropped', () => {
+    const now = Date.now();
+    disruptions.recordTrip({ tripId: 't1', line: { name: 'U8' }, remarks: [remark('ended', { validUntil: new Date(now - 1000).toISOString() })] }, now);
+    disruptions.recordTrip({ tripId: 't2', line: { name: 'U8' }, remarks: [remark('old')] }, now - config.DISRUPTION_MAX_AGE_MS - 1);
+    disruptions.recordTrip({ tripId: 't3', line: { name: 'U8' }, remarks: [remark('current')] }, now);
+
+    assert.deepEqual(disruptions.getAll({}, now).map(d => d.id), ['current']);
+});
@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import config from '../config.js';
+import gtfsRealtime from '../adapters/gtfsRealtime.js';
+import { startMockVbbServer } from '../mock/vbbMockServer.js';
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+let mock;
+let routesDir;
+
+before(async () => {
+    mock = await startMockVbbServer();
+    routesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vbb-gtfs-'));
+
+    config.GTFS_RT_URL = `${mock.url}/gtfs-rt`;
+    config.GTFS_ROUTES_FILE = path.join(routesDir, 'routes.txt');
+    config.FETCH_TIMEOUT_MS = 200;
+
+    // BOM, quoted names with commas and extended route types, as in the VBB export
+    fs.writeFileSync(config.GTFS_ROUTES_FILE, [
+        '\uFEFFroute_id,agency_id,route_short_name,route_long_name,route_type',
+        '17514_400,796,U8,"Wittenau, Hermannstr.",400',
+        '17449_900,796,M10,,900',
+        '10148_109,1,S41,"Ring ""clockwise""",109',
+        '99_3,796,X9,,3'
+    ].join('\r\n') + '\r\n');
+});
+
+after(async () => {
+    await mock.close();
+    fs.rmSync(routesDir, { recursive: true, force: true });
+    config.GTFS_RT_URL = null;
+    config.GTFS_ROUTES_FILE = null;
+});
+
+beforeEach(() => {
+    mock.reset();
+    gtfsRealtime.reset();
+});
+
+function vehicle(tripId, routeId, latitude, label = undefined) {
+    return {
+        id: tripId,
+        vehicle: {
+            trip: { tripId, routeId },
+            position: { latitude, longitude: 13.4 },
+            vehicle: label ? { label } : undefined
+        }
+    };
+}
+
+function feed(entities) {
+    const message = FeedMessage.fromObject({
+        header: { gtfsRealtimeVersion: '2.0', timestamp: 1767708000 },
+        entity: entities
+    });
+    return Buffer.from(FeedMessage.encode(message).finish());
+}
+
+test('decodes vehicle positions with line names and products from routes.txt', async () => {
+    mock.enqueue({
+        body: feed([
+            vehicle('t1', '17514_400', 52.5, 'S+U Wittenau'),
+            vehicle('t2', '17449_900', 52.51),
+            vehicle('t3', '10148_109', 52.52),
+            vehicle('t4', '99_3', 52.53),
+            vehicle('t5', 'unknown_route', 52.54)
+        ])
+    });
+
+    const { movements, ok } = await gtfsRealtime.fetchAll();
+
+    assert.equal(ok, true);
+    assert.deepEqual(movements.map(m => [m.tripId, m.name, m.type]), [
+        ['t1', 'U8', 'subway'],
+        ['t2', 'M10', 'tram'],
+        ['t3', 'S41', 'suburban'],
+        ['t4', 'X9', 'bus'],
+        ['t5', 'unknown_route', 'bus']
+    ]);
+    assert.equal(movements[0].direction, 'S+U Wittenau');
+    assert.equal(movements[1].direction, null);
+    assert.ok(Math.abs(movements[0].latitude - 52.5) < 1e-5);
+    assert.equal(movements[0].delay, null);
+    assert.equal(movements[0].nextStop, null);
+});
+
+test('skips entities without a position or trip', async () => {
+    mock.enqueue({
+        body: feed([
+            vehicle('t1', '17514_400', 52.5),
+            { id: 'no-position', vehicle: { trip: { tripId: 't2', routeId: '17514_400' } } },
+            { id: 'no-trip', vehicle: { position: { latitude: 52.5, longitude: 13.4 } } },
+            { id: 'alert', alert: { headerText: { translation: [{ text: 'Works' }] } } }
+        ])
+    });
+
+    const { movements } = await gtfsRealtime.fetchAll();
+
+    assert.deepEqual(movements.map(m => m.tripId), ['t1']);
+});
+
+test('failed requests are not ok', async () => {
+    mock.enqueue({ status: 503 });
+    assert.deepEqual(await gtfsRealtime.fetchAll(), { movements: [], ok: false });
+
+    mock.enqueue({ body: Buffer.from('not a protobuf feed') });
+    assert.equal((await gtfsRealtime.fetchAll()).ok, false);
+});
@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import config from '../config.js';
+import history from '../history.js';
+
+let historyDir;
+
+before(() => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vbb-history-'));
+    config.HISTORY_DIR = historyDir;
+});
+
+after(() => {
+    fs.rmSync(historyDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    history.reset();
+    for (const file of fs.readdirSync(historyDir)) {
+        fs.unlinkSync(path.join(historyDir, file));
+    }
+});
+
+function movement(tripId, latitude, longitude = 13.4) {
+    return { tripId, name: 'U8', type: 'subway', direction: 'S+U Wittenau', latitude, longitude, delay: 60 };
+}
+
+const at = iso => new Date(iso);
+
+test('frames are written to the file of their UTC hour and read back in order', async () => {
+    history.record([movement('a', 52.5)], at('2026-01-06T14:59:50Z'));
+    history.record([], at('2026-01-06T15:00:00Z'));
+    await history.record([movement('a', 52.51)], at('2026-01-06T15:00:10Z'));
+
+    assert.deepEqual(fs.readdirSync(historyDir).sort(), ['2026-01-06T14.ndjson', '2026-01-06T15.ndjson']);
+
+    const frames = await history.query({ from: at('2026-01-06T14:30:00Z'), to: at('2026-01-06T15:30:00Z') });
+    assert.deepEqual(frames, [
+        {
+            time: '2026-01-06T14:59:50.000Z',
+            movements: [{ tripId: 'a', name: 'U8', type: 'subway', direction: 'S+U Wittenau', latitude: 52.5, longitude: 13.4 }]
+        },
+        {
+            time: '2026-01-06T15:00:10.000Z',
+            movements: [{ tripId: 'a', name: 'U8', type: 'subway', direction: 'S+U Wittenau', latitude: 52.51, longitude: 13.4 }]
+        }
+    ]);
+
+    // from and to are inclusive bounds on the frame time
+    const second = await history.query({ from: at('2026-01-06T15:00:10Z'), to: at('2026-01-06T15:00:10Z') });
+    assert.equal(second.length, 1);
+});
+
+test('query keeps only the vehicles inside the bbox', async () => {
+    await history.record([movement('a', 52.5, 13.4), movement('b', 52.7, 13.4), movement('c', 52.5, 13.6)], at('2026-01-06T14:00:00Z'));
+
+    const bbox = { west: 13.3, south: 52.45, east: 13.5, north: 52.55 };
+    const [frame] = await history.query({ from: at('2026-01-06T14:00:00Z'), to: at('2026-01-06T14:01:00Z'), bbox });
+
+    assert.deepEqual(frame.movements.map(m => m.tripId), ['a']);
+});
+
+test('the first write in a new hour prunes files past the retention window', async () => {
+    const retention = config.HISTORY_RETENTION_HOURS;
+    config.HISTORY_RETENTION_HOURS = 2;
+
+    try {
+        fs.writeFileSync(path.join(historyDir, '2026-01-06T11.ndjson'), '');
+        fs.writeFileSync(path.join(historyDir, '2026-01-06T12.ndjson'), '');
+        fs.writeFileSync(path.join(historyDir, 'notes.txt'), '');
+
+        await history.record([movement('a', 52.5)], at('2026-01-06T14:10:00Z'));
+    } finally {
+        config.HISTORY_RETENTION_HOURS = retention;
+    }
+
+    assert.deepEqual(fs.readdirSync(historyDir).sort(), ['2026-01-06T12.ndjson', '2026-01-06T14.ndjson', 'notes.txt']);
+});
+
+test('tracks hold one trip only, even when another trip id contains it', async () => {
+    history.record([movement('1|2', 52.5), movement('1|23', 52.6)], at('2026-01-06T14:00:00Z'));
+    history.record([movement('1|23', 52.61)], at('2026-01-06T14:00:20Z'));
+    await history.record([movement('1|2', 52.51), movement('1|23', 52.62)], at('2026-01-06T14:00:40Z'));
+
+    const track = await history.getTrack('1|2', { from: at('2026-01-06T13:00:00Z'), to: at('2026-01-06T15:00:00Z') });
+
+    assert.deepEqual(track, {
+        tripId: '1|2',
+        name: 'U8',
+        type: 'subway',
+        direction: 'S+U Wittenau',
+        points: [
+            { time: '2026-01-06T14:00:00.000Z', latitude: 52.5, longitude: 13.4 },
+            { time: '2026-01-06T14:00:40.000Z', latitude: 52.51, longitude: 13.4 }
+        ]
+    });
+
+    assert.equal(await history.getTrack('1', { from: at('2026-01-06T13:00:00Z'), to: at('2026-01-06T15:00:00Z') }), null);
+});
+
+test('lines that fail to parse are skipped', async () => {
+    const frame = (t, latitude) => JSON.stringify({ t, m: [['a', 'U8', 'subway', 'S+U Wittenau', latitude, 13.4]] });
+    fs.writeFileSync(path.join(historyDir, '2026-01-06T14.ndjson'), [
+        frame('2026-01-06T14:00:00.000Z', 52.5),
+        '{"t":"2026-01-06T14:00:20.000Z","m":[["a","U8"',
+        frame('2026-01-06T14:00:40.000Z', 52.51)
+    ].join('\n') + '\n');
+
+    const from = new Date('2026-01-06T14:00:00Z');
+    const to = new Date('2026-01-06T14:59:59Z');
+
+    const frames = await history.query({ from, to });
+    assert.deepEqual(frames.map(f => f.time), ['2026-01-06T14:00:00.000Z', '2026-01-06T14:00:40.000Z']);
+
+    const track = await history.getTrack('a', { from, to });
+    assert.equal(track.points.length, 2);
+
+    assert.equal(history.parseFrame('{"t":'), null);
+});
@@ -0,0 +1,77 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cache from '../cache.js';
+import lineStats from '../lineStats.js';
+
+const STOPS = ['A', 'B', 'C', 'D'].map(name => ({ id: name, name }));
+
+function vehicle(tripId, stopIndex, delay = 0, direction = 'D') {
+    return {
+        tripId,
+        name: 'U8',
+        type: 'subway',
+        direction,
+        latitude: 52.5,
+        longitude: 13.4,
+        delay,
+        nextStop: STOPS[stopIndex]
+    };
+}
+
+beforeEach(() => {
+    cache.reset();
+    lineStats.reset();
+});
+
+test('unknown lines have no stats', () => {
+    assert.equal(lineStats.getLineStats('U8'), null);
+});
+
+test('headways are measured between vehicles passing the same stop', () => {
+    const t0 = Date.now();
+
+    // Trip 1 passes A at t0+60s, trip 2 at t0+360s: a 5 minute headway
+    lineStats.record([vehicle('1', 0)], t0);
+    lineStats.record([vehicle('1', 1)], t0 + 60000);
+    lineStats.record([vehicle('1', 1), vehicle('2', 0)], t0 + 300000);
+    lineStats.record([vehicle('1', 2), vehicle('2', 1)], t0 + 360000);
+
+    const [headway] = lineStats.getLineStats('U8', t0 + 360000).headways;
+    assert.equal(headway.direction, 'D');
+    assert.equal(headway.samples, 1);
+    assert.equal(headway.minSeconds, 300);
+});
+
+test('average delay and active vehicles come from the current cache', () => {
+    const movements = [vehicle('1', 0, 60), vehicle('2', 1, 420), vehicle('3', 2, null)];
+    cache.update(movements);
+    lineStats.record(cache.getAll());
+
+    const stats = lineStats.getLineStats('U8');
+    assert.equal(stats.activeVehicles, 3);
+    assert.equal(stats.averageDelaySeconds, 240);
+    assert.equal(stats.delayedVehicles, 1);
+});
+
+test('vehicles vanishing before their destination are reported missing', () => {
+    const t0 = Date.now();
+
+    lineStats.record([vehicle('1', 1), vehicle('2', 3)], t0);
+    lineStats.record([], t0 + 20000);
+
+    const { missingVehicles } = lineStats.getLineStats('U8', t0 + 20000);
+    assert.deepEqual(missingVehicles.map(m => m.tripId), ['1']);
+    assert.equal(missingVehicles[0].lastStop, 'B');
+});
+
+test('vehicles are not reported missing from incomplete updates', () => {
+    const t0 = Date.now();
+
+    lineStats.record([vehicle('1', 1)], t0);
+    lineStats.record([], t0 + 20000, { complete: false });
+    assert.deepEqual(lineStats.getLineStats('U8', t0 + 20000).missingVehicles, []);
+
+    // Back once its box loads again
+    lineStats.record([vehicle('1', 1)], t0 + 40000);
+    assert.deepEqual(lineStats.getLineStats('U8', t0 + 40000).missingVehicles, []);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import logger from '../logger.js';
+
+let entries;
+const levels = { level: config.LOG_LEVEL, levels: config.LOG_LEVELS };
+
+beforeEach(() => {
+    entries = [];
+    logger.setWriter(entry => entries.push(entry));
+    config.LOG_LEVEL = 'info';
+    config.LOG_LEVELS = {};
+});
+
+afterEach(() => {
+    logger.setWriter(null);
+    config.LOG_LEVEL = levels.level;
+    config.LOG_LEVELS = levels.levels;
+});
+
+test('entries carry level, component, message and fields', () => {
+    logger.create('poller').info('Poll finished', { durationMs: 120 });
+
+    assert.equal(entries.length, 1);
+    const [entry] = entries;
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.component, 'poller');
+    assert.equal(entry.msg, 'Poll finished');
+    assert.equal(entry.durationMs, 120);
+    assert.ok(!isNaN(new Date(entry.time)));
+});
+
+test('levels apply per component', () => {
+    config.LOG_LEVELS = { poller: 'debug', http: 'warn' };
+
+    logger.create('poller').debug('shown');
+    logger.create('http').info('hidden');
+    logger.create('http').warn('shown');
+    logger.create('cache').debug('hidden');
+    logger.create('cache').info('shown');
+
+    assert.deepEqual(entries.map(entry => `${entry.component}:${entry.msg}`), ['poller:shown', 'http:shown', 'cache:shown']);
+    assert.equal(logger.create('cache').isEnabled('debug'), false);
+});
+
+test('correlation ids follow async work started in a context', async () => {
+    const log = logger.create('poller');
+
+    await logger.withContext({ pollId: 7 }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        log.info('inside');
+    });
+    log.info('outside');
+
+    assert.equal(entries[0].pollId, 7);
+    assert.equal('pollId' in entries[1], false);
+});
+
+test('errors are serialised with message and status', () => {
+    const error = new Error('VBB API error: 503');
+    error.status = 503;
+
+    logger.create('api').error('Request failed', { error });
+
+    assert.equal(entries[0].error.message, 'VBB API error: 503');
+    assert.equal(entries[0].error.status, 503);
+    assert.match(entries[0].error.stack, /Error: VBB API error/);
+    // What actually gets written must be valid JSON
+    assert.equal(JSON.parse(JSON.stringify(entries[0])).error.status, 503);
+});
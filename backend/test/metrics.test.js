@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import metrics from '../metrics.js';
+
+beforeEach(() => {
+    metrics.reset();
+});
+
+test('poll durations are cumulative histogram buckets in seconds', () => {
+    metrics.observePoll(800, 'success');
+    metrics.observePoll(4000, 'success');
+    metrics.observePoll(90000, 'failed');
+
+    const text = metrics.render();
+    assert.match(text, /^# TYPE vbb_poll_duration_seconds histogram$/m);
+    assert.match(text, /^vbb_poll_duration_seconds_bucket\{outcome="success",le="1"\} 1$/m);
+    assert.match(text, /^vbb_poll_duration_seconds_bucket\{outcome="success",le="5"\} 2$/m);
+    assert.match(text, /^vbb_poll_duration_seconds_bucket\{outcome="success",le="\+Inf"\} 2$/m);
+    assert.match(text, /^vbb_poll_duration_seconds_sum\{outcome="success"\} 4.8$/m);
+    assert.match(text, /^vbb_poll_duration_seconds_bucket\{outcome="failed",le="60"\} 0$/m);
+    assert.match(text, /^vbb_poll_duration_seconds_count\{outcome="failed"\} 1$/m);
+});
+
+test('counts box requests and HTTP latency per label set', () => {
+    metrics.recordBoxRequest('6-1', true);
+    metrics.recordBoxRequest('6-1', true);
+    metrics.recordBoxRequest('6-1', false);
+    metrics.observeRequest('GET', '/api/trips/:tripId', 200, 30);
+
+    const text = metrics.render();
+    assert.match(text, /^vbb_box_requests_total\{box="6-1",result="success"\} 2$/m);
+    assert.match(text, /^vbb_box_requests_total\{box="6-1",result="failure"\} 1$/m);
+    assert.match(text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/trips\/:tripId",status="200",le="0.05"\} 1$/m);
+});
+
+test('drops series of boxes no longer in the grid', () => {
+    metrics.recordBoxRequest('6', true);
+    metrics.recordBoxRequest('6-1', false);
+
+    metrics.retainBoxes(['6-1', '6-2']);
+
+    const text = metrics.render();
+    assert.doesNotMatch(text, /box="6"/);
+    assert.match(text, /^vbb_box_requests_total\{box="6-1",result="failure"\} 1$/m);
+});
+
+test('gauges come from the stats passed in', () => {
+    const text = metrics.render({
+        poller: { successfulPolls: 5, emptyPolls: 2, failedPolls: 1, consecutiveEmptyPolls: 2 },
+        cache: { count: 900, ageMs: 4500, updateCount: 7, isHealthy: true, isStale: false, anomalies: { total: 3, jump: 1, frozen: 2, 'off-route': 0 } },
+        rateLimit: { count: 45, limit: 100 }
+    });
+
+    assert.match(text, /^vbb_polls_total\{outcome="empty"\} 2$/m);
+    assert.match(text, /^vbb_consecutive_empty_polls 2$/m);
+    assert.match(text, /^vbb_cache_vehicles 900$/m);
+    assert.match(text, /^vbb_cache_age_seconds 4.5$/m);
+    assert.match(text, /^vbb_cache_healthy 1$/m);
+    assert.match(text, /^vbb_anomalous_vehicles\{type="frozen"\} 2$/m);
+    assert.match(text, /^vbb_rate_limit_usage_ratio 0.45$/m);
+    assert.doesNotMatch(text, /vbb_scheduler_queue_depth/);
+});
+
+test('escapes label values', () => {
+    metrics.recordBoxRequest('a"b\\c', true);
+
+    assert.match(metrics.render(), /box="a\\"b\\\\c"/);
+});
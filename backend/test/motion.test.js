@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateMotion, distanceMeters, bearingDegrees } from '../motion.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('distance and bearing', () => {
+    const from = { latitude: 52.5, longitude: 13.4 };
+    const north = { latitude: 52.501, longitude: 13.4 };
+    const east = { latitude: 52.5, longitude: 13.401 };
+
+    assert.equal(Math.round(distanceMeters(from, north)), 111);
+    assert.equal(Math.round(bearingDegrees(from, north)), 0);
+    assert.equal(Math.round(bearingDegrees(from, east)), 90);
+});
+
+test('uses the previous position when there is no stopover', () => {
+    const motion = estimateMotion({
+        current: { latitude: 52.5018, longitude: 13.4, timestamp: new Date(NOW) },
+        previous: { latitude: 52.5, longitude: 13.4, timestamp: new Date(NOW - 20000) }
+    }, NOW);
+
+    assert.equal(motion.source, 'positions');
+    assert.equal(motion.heading, 0);
+    assert.equal(motion.speed, 10);
+});
+
+test('prefers the time needed to reach the next stop', () => {
+    const motion = estimateMotion({
+        current: {
+            latitude: 52.5,
+            longitude: 13.4,
+            timestamp: new Date(NOW),
+            nextStop: { latitude: 52.5, longitude: 13.41, arrival: new Date(NOW + 60000).toISOString() }
+        },
+        previous: { latitude: 52.499, longitude: 13.4, timestamp: new Date(NOW - 20000) }
+    }, NOW);
+
+    assert.equal(motion.source, 'stopover');
+    assert.equal(motion.heading, 90);
+    assert.ok(motion.speed > 11 && motion.speed < 12);
+});
+
+test('no estimate for new vehicles or implausible speeds', () => {
+    const current = { latitude: 52.5, longitude: 13.4, timestamp: new Date(NOW) };
+
+    assert.equal(estimateMotion({ current, previous: null }, NOW), null);
+    assert.equal(estimateMotion({
+        current,
+        previous: { latitude: 52.6, longitude: 13.4, timestamp: new Date(NOW - 20000) }
+    }, NOW), null);
+});
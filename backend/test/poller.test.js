@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import config from '../config.js';
+import cache from '../cache.js';
+import boxGrid from '../boxGrid.js';
+import requestScheduler from '../requestScheduler.js';
+import poller from '../vbbPoller.js';
+import * as rateLimitTracker from '../rateLimitTracker.js';
+import { startMockVbbServer } from '../mock/vbbMockServer.js';
+
+let mock;
+let historyDir;
+
+before(async () => {
+    mock = await startMockVbbServer();
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vbb-history-'));
+
+    config.VBB_BASE_URL = mock.url;
+    config.HISTORY_DIR = historyDir;
+    config.FETCH_TIMEOUT_MS = 200;
+    config.SCHEDULER_BACKOFF_BASE_MS = 10;
+
+    // Two overlapping boxes, the mock returns the same vehicles for both
+    config.BOUNDING_BOXES = [
+        { id: 'a', north: 52.6, south: 52.5, west: 13.3, east: 13.4 },
+        { id: 'b', north: 52.6, south: 52.5, west: 13.4, east: 13.5 }
+    ];
+});
+
+after(async () => {
+    await mock.close();
+    fs.rmSync(historyDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.reset();
+    cache.reset();
+    boxGrid.reset();
+    requestScheduler.reset();
+    rateLimitTracker.reset();
+    poller.reset();
+});
+
+test('queries every box and deduplicates movements by tripId', async () => {
+    await poller.poll();
+
+    assert.equal(mock.requests.filter(r => r.path === '/radar').length, 2);
+    assert.equal(cache.getStats().count, 4);
+});
+
+test('carries delay and next stop from the upcoming stopover', async () => {
+    await poller.poll();
+
+    const bus = cache.getAll().find(v => v.name === '100');
+    assert.equal(bus.delay, 720);
+    assert.equal(bus.nextStop.name, 'S+U Friedrichstr.');
+    assert.equal(bus.nextStop.latitude, 52.520269);
+});
+
+test('empty polls keep the cached data and count the streak', async () => {
+    await poller.poll();
+    const emptyBefore = poller.getStats().emptyPolls;
+
+    mock.setDefault({ fixture: 'radar-empty' });
+    await poller.poll();
+    await poller.poll();
+
+    const stats = poller.getStats();
+    assert.equal(stats.emptyPolls, emptyBefore + 2);
+    assert.equal(stats.consecutiveEmptyPolls, 2);
+    assert.equal(cache.getStats().count, 4);
+
+    mock.setDefault({ fixture: 'radar-moved' });
+    await poller.poll();
+
+    assert.equal(poller.getStats().consecutiveEmptyPolls, 0);
+    assert.equal(cache.getStats().count, 3);
+});
+
+test('a 429 is retried after backing off', async () => {
+    mock.enqueue({ status: 429, headers: { 'Retry-After': '0' } });
+
+    await poller.poll();
+
+    assert.equal(mock.requests.length, 3);
+    assert.equal(cache.getStats().count, 4);
+    assert.equal(requestScheduler.getStats().throttled, 1);
+});
+
+test('failed and timed out boxes are treated as empty', async () => {
+    mock.enqueue({ status: 500 }, { delayMs: 1000 });
+
+    await poller.poll();
+
+    assert.equal(cache.getStats().count, 0);
+    assert.equal(poller.getStats().consecutiveEmptyPolls, 1);
+});
+
+test('one failing box does not drop the others', async () => {
+    mock.enqueue({ status: 503 });
+    const updates = [];
+    const unsubscribe = cache.subscribe(update => updates.push(update));
+
+    try {
+        await poller.poll();
+    } finally {
+        unsubscribe();
+    }
+
+    assert.equal(cache.getStats().count, 4);
+    assert.deepEqual(updates, [{ complete: false }]);
+});
+
+test('records status, count and consecutive failures per box', async () => {
+    mock.enqueue({ status: 500 });
+    await poller.poll();
+
+    const boxes = poller.getBoxStats().boxes;
+    const failed = boxes.find(box => box.status === 'failed');
+    const ok = boxes.find(box => box.status === 'ok');
+
+    assert.equal(failed.error, 'HTTP 500');
+    assert.equal(failed.count, null);
+    assert.equal(failed.consecutiveFailures, 1);
+    assert.equal(ok.count, 4);
+    assert.equal(ok.error, null);
+    assert.equal(typeof ok.latencyMs, 'number');
+    assert.equal(poller.getBoxStats().failing, 1);
+
+    // Keep the two sparse boxes apart so their records survive
+    const mergeRatio = config.GRID_MERGE_RATIO;
+    config.GRID_MERGE_RATIO = 0;
+
+    try {
+        mock.enqueue({ status: 500 }, { status: 500 });
+        await poller.poll();
+        assert.deepEqual(poller.getBoxStats().boxes.map(box => box.consecutiveFailures).sort(), [1, 2]);
+
+        mock.setDefault({ fixture: 'radar-empty' });
+        await poller.poll();
+    } finally {
+        config.GRID_MERGE_RATIO = mergeRatio;
+    }
+
+    assert.deepEqual(poller.getBoxStats().boxes.map(box => [box.status, box.consecutiveFailures]), [['empty', 0], ['empty', 0]]);
+});
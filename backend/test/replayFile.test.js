@@ -0,0 +1,60 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import config from '../config.js';
+import replayFile from '../adapters/replayFile.js';
+
+let replayDir;
+
+before(() => {
+    replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vbb-replay-'));
+    config.REPLAY_FILE = path.join(replayDir, '2026-01-06T14.ndjson');
+
+    // Two frames, as history.js writes them
+    fs.writeFileSync(config.REPLAY_FILE, [
+        { t: '2026-01-06T14:00:00.000Z', m: [['a', 'U8', 'subway', 'S+U Wittenau', 52.5, 13.4]] },
+        { t: '2026-01-06T14:00:20.000Z', m: [['a', 'U8', 'subway', 'S+U Wittenau', 52.51, 13.4], ['b', 'M10', 'tram', 'Warschauer Str.', 52.52, 13.45]] }
+    ].map(frame => JSON.stringify(frame)).join('\n') + '\n');
+});
+
+after(() => {
+    fs.rmSync(replayDir, { recursive: true, force: true });
+    config.REPLAY_FILE = null;
+});
+
+beforeEach(() => {
+    replayFile.reset();
+});
+
+test('plays frames in order and starts over at the end', async () => {
+    const latitudes = [];
+    for (let i = 0; i < 3; i++) {
+        const { movements, ok } = await replayFile.fetchAll();
+        assert.equal(ok, true);
+        latitudes.push(movements.map(m => m.latitude));
+    }
+
+    assert.deepEqual(latitudes, [[52.5], [52.51, 52.52], [52.5]]);
+});
+
+test('frames become movements without delays', async () => {
+    const { movements } = await replayFile.fetchAll();
+
+    assert.deepEqual(movements, [{
+        tripId: 'a', name: 'U8', type: 'subway', direction: 'S+U Wittenau',
+        latitude: 52.5, longitude: 13.4, delay: null, nextStop: null
+    }]);
+});
+
+test('a missing file is not ok', async () => {
+    const file = config.REPLAY_FILE;
+    config.REPLAY_FILE = path.join(replayDir, 'missing.ndjson');
+
+    try {
+        assert.deepEqual(await replayFile.fetchAll(), { movements: [], ok: false });
+    } finally {
+        config.REPLAY_FILE = file;
+    }
+});
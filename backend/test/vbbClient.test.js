@@ -0,0 +1,188 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import app, { closeStreams } from '../app.js';
+import config from '../config.js';
+import vbbClient from '../vbbClient.js';
+import requestScheduler from '../requestScheduler.js';
+import * as rateLimitTracker from '../rateLimitTracker.js';
+import { startMockVbbServer } from '../mock/vbbMockServer.js';
+
+let mock;
+let server;
+let baseUrl;
+
+before(async () => {
+    mock = await startMockVbbServer();
+    config.VBB_BASE_URL = mock.url;
+    config.FETCH_TIMEOUT_MS = 200;
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    closeStreams();
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+});
+
+beforeEach(() => {
+    mock.reset();
+    vbbClient.reset();
+    requestScheduler.reset();
+    rateLimitTracker.reset();
+});
+
+function departureRequests() {
+    return mock.requests.filter(r => r.path.endsWith('/departures'));
+}
+
+test('normalises nearby stops and drops non-stop locations', async () => {
+    const stops = await vbbClient.getNearbyStops({ latitude: 52.5195, longitude: 13.3881, distance: 500 });
+
+    assert.equal(stops.length, 2);
+    assert.equal(stops[0].name, 'S+U Friedrichstr. Bhf (Berlin)');
+    assert.equal(stops[0].latitude, 52.520519);
+    assert.deepEqual(stops[0].lines[0], { name: 'U6', type: 'subway' });
+});
+
+test('caps the nearby search radius', async () => {
+    await vbbClient.getNearbyStops({ latitude: 52.5195, longitude: 13.3881, distance: 50000 });
+
+    assert.equal(mock.requests[0].query.distance, String(config.NEARBY_STOPS_MAX_DISTANCE_M));
+});
+
+test('serves repeated departure lookups from the cache', async () => {
+    const first = await vbbClient.getDepartures('900000100001');
+    const second = await vbbClient.getDepartures('900000100001');
+
+    assert.equal(departureRequests().length, 1);
+    assert.deepEqual(first, second);
+    assert.equal(first[0].tripId, '1|27745|11|86|19102026');
+    assert.equal(first[0].delay, 720);
+    assert.equal(first[2].cancelled, true);
+});
+
+test('shares one upstream call between concurrent lookups', async () => {
+    mock.enqueue({ fixture: 'departures', delayMs: 50 });
+
+    await Promise.all([
+        vbbClient.getDepartures('900000100001'),
+        vbbClient.getDepartures('900000100001')
+    ]);
+
+    assert.equal(departureRequests().length, 1);
+});
+
+test('refetches departures once the cache entry expires', async () => {
+    const ttl = config.DEPARTURES_TTL_MS;
+    config.DEPARTURES_TTL_MS = 0;
+
+    try {
+        await vbbClient.getDepartures('900000100001');
+        await vbbClient.getDepartures('900000100001');
+    } finally {
+        config.DEPARTURES_TTL_MS = ttl;
+    }
+
+    assert.equal(departureRequests().length, 2);
+});
+
+test('evicts the least recently used lookups beyond the size limit', async () => {
+    const maxEntries = config.LOOKUP_CACHE_MAX_ENTRIES;
+    config.LOOKUP_CACHE_MAX_ENTRIES = 2;
+
+    try {
+        await vbbClient.getDepartures('1');
+        await vbbClient.getDepartures('2');
+        // Reading 1 makes 2 the least recently used
+        await vbbClient.getDepartures('1');
+        await vbbClient.getDepartures('3');
+
+        await vbbClient.getDepartures('1');
+        await vbbClient.getDepartures('2');
+    } finally {
+        config.LOOKUP_CACHE_MAX_ENTRIES = maxEntries;
+    }
+
+    assert.deepEqual(departureRequests().map(r => r.path), [
+        '/stops/1/departures', '/stops/2/departures', '/stops/3/departures', '/stops/2/departures'
+    ]);
+});
+
+test('user lookups beyond their budget fail or serve stale, background ones still run', async () => {
+    const budget = config.LOOKUP_MAX_PER_MINUTE;
+    const ttl = config.DEPARTURES_TTL_MS;
+    config.LOOKUP_MAX_PER_MINUTE = 1;
+    config.DEPARTURES_TTL_MS = 0;
+
+    try {
+        const first = await vbbClient.getDepartures('900000100001');
+
+        // Out of budget: the expired entry is served instead of a new request
+        assert.deepEqual(await vbbClient.getDepartures('900000100001'), first);
+        await assert.rejects(vbbClient.getTrip('1|27745|11|86|19102026'), { status: 429 });
+
+        await vbbClient.getDepartures('900000100003', { priority: 'low' });
+    } finally {
+        config.LOOKUP_MAX_PER_MINUTE = budget;
+        config.DEPARTURES_TTL_MS = ttl;
+    }
+
+    assert.equal(departureRequests().length, 2);
+});
+
+test('/api/stops/:id/departures passes upstream 404s through', async () => {
+    mock.enqueue({ status: 404 });
+
+    const response = await fetch(`${baseUrl}/api/stops/123/departures`);
+    assert.equal(response.status, 404);
+});
+
+test('/api/stops/:id/departures returns 502 when VBB fails', async () => {
+    mock.enqueue({ status: 500 });
+
+    const response = await fetch(`${baseUrl}/api/stops/900000100001/departures`);
+    assert.equal(response.status, 502);
+});
+
+test('/api/trips/:tripId returns 429 once the lookup budget is used up', async () => {
+    const budget = config.LOOKUP_MAX_PER_MINUTE;
+    config.LOOKUP_MAX_PER_MINUTE = 0;
+
+    try {
+        const response = await fetch(`${baseUrl}/api/trips/${encodeURIComponent('1|27745|11|86|19102026')}`);
+        assert.equal(response.status, 429);
+    } finally {
+        config.LOOKUP_MAX_PER_MINUTE = budget;
+    }
+});
+
+test('/api/stops/nearby rejects missing coordinates', async () => {
+    const response = await fetch(`${baseUrl}/api/stops/nearby?latitude=52.5`);
+    assert.equal(response.status, 400);
+});
+
+test('/api/stops/nearby returns stops', async () => {
+    const response = await fetch(`${baseUrl}/api/stops/nearby?latitude=52.5195&longitude=13.3881`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.meta.count, 2);
+});
+
+test('/api/trips/:tripId returns the normalised stop sequence', async () => {
+    const tripId = '1|27745|11|86|19102026';
+    const response = await fetch(`${baseUrl}/api/trips/${encodeURIComponent(tripId)}`);
+    const trip = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(trip.tripId, tripId);
+    assert.equal(trip.line.name, '100');
+    assert.equal(trip.stopovers.length, 3);
+    assert.equal(trip.stopovers[1].stop.name, 'S+U Friedrichstr.');
+    assert.equal(trip.stopovers[1].arrivalDelay, 720);
+    assert.equal(mock.requests[0].query.stopovers, 'true');
+});
@@ -0,0 +1,251 @@
+import config from './config.js';
+import requestScheduler from './requestScheduler.js';
+import * as rateLimitTracker from './rateLimitTracker.js';
+import logger from './logger.js';
+
+const log = logger.create('vbb-client');
+
+// On-demand VBB REST lookups for the API routes. Responses are cached per key,
+// concurrent requests for the same key share one upstream call, and every call
+// goes through the request scheduler next to the poller. User lookups get their own
+// share of the rate limit (LOOKUP_MAX_PER_MINUTE), so clients can't starve polling.
+
+const WINDOW_MS = 60 * 1000;
+
+// key -> { value, expires } or { promise } while loading, least recently used first
+const responseCache = new Map();
+
+// Upstream lookups in the last minute, background refreshes excluded
+let lookupTimestamps = [];
+
+function hasLookupBudget(now = Date.now()) {
+    lookupTimestamps = lookupTimestamps.filter(time => time > now - WINDOW_MS);
+    return lookupTimestamps.length < config.LOOKUP_MAX_PER_MINUTE;
+}
+
+// User lookups queue at normal priority within their budget, background refreshes pass 'low'
+async function fetchJson(path, label, priority = 'normal') {
+    const url = `${config.VBB_BASE_URL}${path}`;
+
+    if (priority !== 'low') {
+        if (!hasLookupBudget()) {
+            const error = new Error(`Lookup budget exhausted for ${label}`);
+            error.status = 429;
+            throw error;
+        }
+        lookupTimestamps.push(Date.now());
+    }
+
+    const response = await requestScheduler.schedule(
+        () => fetch(url, { signal: AbortSignal.timeout(config.FETCH_TIMEOUT_MS) }),
+        { priority, label }
+    );
+
+    if (!response.ok) {
+        const error = new Error(`VBB API error ${response.status} for ${label}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+async function cached(key, ttlMs, load) {
+    const entry = responseCache.get(key);
+    const now = Date.now();
+
+    if (entry?.promise) {
+        return entry.promise;
+    }
+    if (entry && entry.expires > now) {
+        touch(key, entry);
+        return entry.value;
+    }
+
+    // Close to the limit or out of budget: an outdated answer beats none
+    if (entry && (rateLimitTracker.getStats().isCritical || !hasLookupBudget(now))) {
+        log.warn('Out of lookup budget or close to the rate limit, serving stale entry', { key });
+        touch(key, entry);
+        return entry.value;
+    }
+
+    const promise = load()
+        .then(value => {
+            touch(key, { value, expires: Date.now() + ttlMs });
+            return value;
+        })
+        .catch(error => {
+            // Keep the previous value around for the next rate-limit fallback
+            if (entry) responseCache.set(key, entry);
+            else responseCache.delete(key);
+            throw error;
+        });
+
+    touch(key, { ...entry, promise });
+    evict();
+
+    return promise;
+}
+
+// Map order is insertion order, re-inserting moves a key to the most recently used end
+function touch(key, entry) {
+    responseCache.delete(key);
+    responseCache.set(key, entry);
+}
+
+// Drop expired entries, then the least recently used ones, down to LOOKUP_CACHE_MAX_ENTRIES.
+// Lookups in flight stay, their callers are waiting on them.
+function evict() {
+    if (responseCache.size <= config.LOOKUP_CACHE_MAX_ENTRIES) return;
+
+    const now = Date.now();
+    for (const [key, entry] of responseCache) {
+        if (!entry.promise && entry.expires <= now) {
+            responseCache.delete(key);
+        }
+    }
+
+    for (const [key, entry] of responseCache) {
+        if (responseCache.size <= config.LOOKUP_CACHE_MAX_ENTRIES) break;
+        if (!entry.promise) responseCache.delete(key);
+    }
+}
+
+// Stops within distance meters of a point
+
+async function getNearbyStops({ latitude, longitude, distance }) {
+    // ~100 m steps so panning or zooming a little reuses the cached answer
+    const radius = Math.min(Math.ceil(distance / 100) * 100, config.NEARBY_STOPS_MAX_DISTANCE_M);
+    const lat = latitude.toFixed(3);
+    const lng = longitude.toFixed(3);
+    const key = `nearby:${lat},${lng},${radius}`;
+
+    return cached(key, config.NEARBY_STOPS_TTL_MS, async () => {
+        const data = await fetchJson(
+            `/locations/nearby?latitude=${lat}&longitude=${lng}&distance=${radius}&results=100&stops=true&poi=false&addresses=false&linesOfStops=true`,
+            'nearby stops'
+        );
+
+        return data
+            .filter(location => location.type === 'stop' || location.type === 'station')
+            .map(stop => ({
+                id: stop.id,
+                name: stop.name,
+                latitude: stop.location.latitude,
+                longitude: stop.location.longitude,
+                distance: stop.distance ?? null,
+                lines: (stop.lines || []).map(line => ({ name: line.name, type: line.product }))
+            }));
+    });
+}
+
+// HAFAS remarks worth showing: warnings (disruptions) and status messages (e.g. cancellations).
+// Hints like bicycle conveyance are dropped.
+
+function normaliseRemarks(remarks) {
+    return (remarks || [])
+        .filter(remark => remark.type === 'warning' || remark.type === 'status')
+        .map(remark => ({
+            id: remark.id ?? null,
+            type: remark.type,
+            summary: remark.summary ?? null,
+            text: remark.text ?? null,
+            validFrom: remark.validFrom ?? null,
+            validUntil: remark.validUntil ?? null
+        }));
+}
+
+// Upcoming departures at a stop
+
+async function getDepartures(stopId, { priority = 'normal' } = {}) {
+    const key = `departures:${stopId}`;
+
+    return cached(key, config.DEPARTURES_TTL_MS, async () => {
+        const data = await fetchJson(
+            `/stops/${encodeURIComponent(stopId)}/departures?duration=${config.DEPARTURES_DURATION_MIN}&results=30&remarks=true`,
+            `departures ${stopId}`,
+            priority
+        );
+
+        // v6 wraps departures in an object, older versions return the array
+        const departures = Array.isArray(data) ? data : (data.departures || []);
+
+        return departures.map(departure => ({
+            tripId: departure.tripId,
+            line: {
+                name: departure.line?.name ?? null,
+                type: departure.line?.product ?? null
+            },
+            direction: departure.direction,
+            when: departure.when,
+            plannedWhen: departure.plannedWhen,
+            delay: departure.delay ?? null,
+            platform: departure.platform ?? null,
+            cancelled: departure.cancelled === true,
+            remarks: normaliseRemarks(departure.remarks)
+        }));
+    });
+}
+
+// Full stop sequence of a trip with realtime times
+
+function normaliseStopover(stopover) {
+    return {
+        stop: {
+            id: stopover.stop?.id ?? null,
+            name: stopover.stop?.name ?? null,
+            latitude: stopover.stop?.location?.latitude ?? null,
+            longitude: stopover.stop?.location?.longitude ?? null
+        },
+        arrival: stopover.arrival ?? null,
+        plannedArrival: stopover.plannedArrival ?? null,
+        arrivalDelay: stopover.arrivalDelay ?? null,
+        departure: stopover.departure ?? null,
+        plannedDeparture: stopover.plannedDeparture ?? null,
+        departureDelay: stopover.departureDelay ?? null,
+        platform: stopover.arrivalPlatform ?? stopover.departurePlatform ?? null,
+        cancelled: stopover.cancelled === true
+    };
+}
+
+async function getTrip(tripId) {
+    const key = `trip:${tripId}`;
+
+    return cached(key, config.TRIP_TTL_MS, async () => {
+        const data = await fetchJson(
+            `/trips/${encodeURIComponent(tripId)}?stopovers=true&remarks=true&polyline=false`,
+            `trip ${tripId}`
+        );
+
+        // v6 wraps the trip in an object
+        const trip = data.trip || data;
+
+        return {
+            tripId: trip.id,
+            line: {
+                name: trip.line?.name ?? null,
+                type: trip.line?.product ?? null
+            },
+            direction: trip.direction,
+            cancelled: trip.cancelled === true,
+            currentLocation: trip.currentLocation
+                ? { latitude: trip.currentLocation.latitude, longitude: trip.currentLocation.longitude }
+                : null,
+            stopovers: (trip.stopovers || []).map(normaliseStopover),
+            remarks: normaliseRemarks(trip.remarks)
+        };
+    });
+}
+
+// Drop cached responses, used by tests
+function reset() {
+    responseCache.clear();
+    lookupTimestamps = [];
+}
+
+export default {
+    getNearbyStops,
+    getDepartures,
+    getTrip,
+    reset
+}
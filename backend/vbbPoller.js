@@ -1,13 +1,13 @@
 import cache from './cache.js';
+import history from './history.js';
+import boxGrid from './boxGrid.js';
+import metrics from './metrics.js';
 import config from './config.js';
-import * as rateLimitTracker from './rateLimitTracker.js';
+import logger from './logger.js';
+import { getAdapter } from './adapters/index.js';
 
 const POLL_INTERVAL_MS = 20000;
 
-function timestamp() {
-    return new Date().toISOString();
-}
-
 // Track polling stats
 let pollStats = {
     totalPolls: 0,
@@ -19,58 +19,82 @@ let pollStats = {
     consecutiveEmptyPolls: 0
 };
 
+// Last result per box id, so a failed box can be told apart from an empty area:
+//   { status, latencyMs, count, error, consecutiveFailures, lastPolled }
+// status is 'ok', 'empty', 'truncated' (hit RADAR_RESULTS) or 'failed'
+const boxDiagnostics = new Map();
 
 
 
-const VBB_BASE_URL = config.VBB_BASE_URL;
-const BOUNDING_BOXES = config.BOUNDING_BOXES;
 
+const log = logger.create('poller');
 
-// Fetch movements for a single bounding box
+// Upstream source, selected by config.DATA_SOURCE
+const adapter = getAdapter();
 
 
-async function fetchBox(box) {
-    const url = `${VBB_BASE_URL}/radar?north=${box.north}&west=${box.west}&south=${box.south}&east=${box.east}`;
+//Fetch all bounding boxes and combine results
+async function fetchAllBoxes() {
+    const boxes = boxGrid.getBoxes();
+    log.debug('Fetching bounding boxes', { boxes: boxes.length });
+    // queue all boxes at once, the scheduler spaces them out
+    const results = await Promise.all(
+        boxes.map(box => adapter.fetchBox(box))
+    );
 
-    try {
-        // Record API request for rate limit tracking
-        rateLimitTracker.recordRequest();
+    for (const result of results) {
+        metrics.recordBoxRequest(result.box.id, result.ok);
+        recordBoxResult(result);
+    }
 
-        const response = await fetch(url);
+    // Split truncated boxes and merge sparse ones for the next poll
+    boxGrid.adjust(results.map(result => ({
+        box: result.box,
+        count: result.ok ? result.movements.length : null
+    })));
 
-        if (!response.ok) {
-            console.error(`[Poller] API error for box ${box.id}: ${response.status}`);
-            return [];
-        }
-
-        const data = await response.json();
-
-        // Transform the data
-        return (data.movements || []).map(movement => ({
-            name: movement.line.name,
-            direction: movement.direction,
-            tripId: movement.tripId,
-            latitude: movement.location.latitude,
-            longitude: movement.location.longitude,
-            type: movement.line.product
-        }));
-
-    } catch (error) {
-        console.error(`[Poller] Fetch error for box ${box.id}:`, error.message);
-        return [];
+    // Boxes split or merged away have no use for their old records
+    const active = new Set(boxGrid.getBoxes().map(box => box.id));
+    for (const id of boxDiagnostics.keys()) {
+        if (!active.has(id)) boxDiagnostics.delete(id);
     }
+    metrics.retainBoxes(active);
+
+    //Flatten results
+    return {
+        movements: results.flatMap(result => result.movements),
+        complete: results.every(result => result.ok)
+    };
 }
 
-//Fetch all bounding boxes and combine results
-async function fetchAllBoxes() {
-    console.log(`[Poller] Fetching ${BOUNDING_BOXES.length} bounding boxes...`);
-    // fetch all boxes in parallel
-    const results = await Promise.all(
-        BOUNDING_BOXES.map(box => fetchBox(box))
-    );
+function recordBoxResult({ box, movements, ok, error, latencyMs }) {
+    const previous = boxDiagnostics.get(box.id);
+    const count = ok ? movements.length : null;
+
+    boxDiagnostics.set(box.id, {
+        status: !ok ? 'failed' : count === 0 ? 'empty' : count >= config.RADAR_RESULTS ? 'truncated' : 'ok',
+        latencyMs: latencyMs ?? null,
+        count,
+        error: ok ? null : (error || 'unknown error'),
+        consecutiveFailures: ok ? 0 : (previous?.consecutiveFailures || 0) + 1,
+        lastPolled: new Date().toISOString()
+    });
+}
 
-    //Flatten results
-    const allMovements = results.flat();
+// Fetch movements from the configured source, deduplicated by tripId
+// Returns { movements, complete }, complete is false when part of the area failed to load
+async function fetchMovements() {
+    let allMovements;
+    let complete;
+
+    if (adapter.usesBoundingBoxes) {
+        ({ movements: allMovements, complete } = await fetchAllBoxes());
+    } else {
+        log.debug('Fetching feed', { source: adapter.name });
+        const result = await adapter.fetchAll();
+        allMovements = result.movements;
+        complete = result.ok;
+    }
 
     // Deduplicate by tripId
     const seen = new Map();
@@ -81,9 +105,9 @@ async function fetchAllBoxes() {
     }
 
     const deduplicated = Array.from(seen.values());
-    console.log(`[Poller] Fetched ${allMovements.length} movements, ${deduplicated.length} unique`);
+    log.debug('Fetched movements', { movements: allMovements.length, unique: deduplicated.length });
 
-    return deduplicated;
+    return { movements: deduplicated, complete };
 }
 
 let pollInterval = null;
@@ -91,53 +115,59 @@ let isPolling = false;
 
 async function poll() {
     if (isPolling) {
-        console.log(`[Poller] [${timestamp()}] ⏳ Previous poll still running, skipping...`);
+        log.info('Previous poll still running, skipping');
         return;
     }
 
     isPolling = true;
     pollStats.totalPolls++;
-    pollStats.lastPollTime = timestamp();
+    pollStats.lastPollTime = new Date().toISOString();
     const pollId = pollStats.totalPolls;
     const startTime = Date.now();
 
-    console.log(`[Poller] [${timestamp()}] ━━━ Poll #${pollId} START ━━━`);
-
-    try {
-        const movements = await fetchAllBoxes();
-        const duration = Date.now() - startTime;
-
-        // Track empty vs non-empty polls
-        if (movements.length === 0) {
-            pollStats.emptyPolls++;
-            pollStats.consecutiveEmptyPolls++;
-            console.warn(`[Poller] [${timestamp()}] EMPTY POLL - VBB returned 0 movements!`);
-
-        } else {
-            if (pollStats.consecutiveEmptyPolls > 0) {
-                console.log(`[Poller] [${timestamp()}] DATA RECOVERED after ${pollStats.consecutiveEmptyPolls} empty polls`);
+    // Everything logged during the poll, cache update included, carries its pollId
+    await logger.withContext({ pollId }, async () => {
+        log.debug('Poll started');
+
+        try {
+            const { movements, complete } = await fetchMovements();
+            const duration = Date.now() - startTime;
+
+            // Track empty vs non-empty polls
+            if (movements.length === 0) {
+                pollStats.emptyPolls++;
+                pollStats.consecutiveEmptyPolls++;
+                log.warn('Empty poll, upstream returned 0 movements', { consecutiveEmptyPolls: pollStats.consecutiveEmptyPolls });
+
+            } else {
+                if (pollStats.consecutiveEmptyPolls > 0) {
+                    log.info('Data recovered', { emptyPolls: pollStats.consecutiveEmptyPolls });
+                }
+                pollStats.successfulPolls++;
+                pollStats.consecutiveEmptyPolls = 0;
+                pollStats.lastNonEmptyPollTime = new Date().toISOString();
             }
-            pollStats.successfulPolls++;
-            pollStats.consecutiveEmptyPolls = 0;
-            pollStats.lastNonEmptyPollTime = timestamp();
+            metrics.observePoll(duration, movements.length === 0 ? 'empty' : 'success');
+
+            cache.update(movements, { complete });
+            history.record(movements);
+
+            log.info('Poll finished', { durationMs: duration, movements: movements.length });
+        } catch (error) {
+            pollStats.failedPolls++;
+            metrics.observePoll(Date.now() - startTime, 'failed');
+            log.error('Poll failed', { error });
+        } finally {
+            isPolling = false;
         }
-
-        cache.update(movements);
-
-        // DIAGNOSTIC: Track when next poll is expected
-        const nextPollIn = POLL_INTERVAL_MS - duration;
-        console.log(`[Poller] [${timestamp()}] Poll #${pollId} END - Dur: ${duration}ms - Mov: ${movements.length}`);
-    } catch (error) {
-        pollStats.failedPolls++;
-        console.error(`[Poller] [${timestamp()}] Poll #${pollId} FAILED:`, error.message);
-    } finally {
-        isPolling = false;
-    }
+    });
 }
 
 // start the polling loop
 function start() {
-    console.log(`[Poller] Starting (${POLL_INTERVAL_MS}ms interval, ${BOUNDING_BOXES.length} boxes)`);
+    // Whole-feed sources have no boxes
+    const boxes = adapter.usesBoundingBoxes ? boxGrid.getBoxes().length : null;
+    log.info('Starting', { intervalMs: POLL_INTERVAL_MS, source: adapter.name, boxes });
     poll();
     pollInterval = setInterval(poll, POLL_INTERVAL_MS);
 }
@@ -147,12 +177,61 @@ function stop() {
     if (pollInterval) {
         clearInterval(pollInterval);
         pollInterval = null;
-        console.log('[Poller] Stopped');
+        log.info('Stopped');
     }
 }
 
+// polling counters
+function getStats() {
+    return { ...pollStats };
+}
+
+// Current grid with the last result of every box, status null for boxes not polled yet
+
+function getBoxStats() {
+    const boxes = boxGrid.getBoxes().map(box => ({
+        id: box.id,
+        north: box.north,
+        south: box.south,
+        west: box.west,
+        east: box.east,
+        ...(boxDiagnostics.get(box.id) || {
+            status: null,
+            latencyMs: null,
+            count: null,
+            error: null,
+            consecutiveFailures: 0,
+            lastPolled: null
+        })
+    }));
+
+    return {
+        boxes,
+        failing: boxes.filter(box => box.status === 'failed').length,
+        lastPollTime: pollStats.lastPollTime
+    };
+}
+
+// Clear counters and box diagnostics, used by tests
+function reset() {
+    pollStats = {
+        totalPolls: 0,
+        successfulPolls: 0,
+        emptyPolls: 0,
+        failedPolls: 0,
+        lastPollTime: null,
+        lastNonEmptyPollTime: null,
+        consecutiveEmptyPolls: 0
+    };
+    boxDiagnostics.clear();
+}
+
 export default {
     start,
-    stop
+    stop,
+    poll,
+    getStats,
+    getBoxStats,
+    reset
 }
 
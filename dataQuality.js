@@ -0,0 +1,39 @@
+// Data Quality - Show, highlight or hide vehicles the backend flags as suspect
+
+const ANOMALY_LABELS = {
+    'jump': 'Position jumped',
+    'frozen': 'Position frozen',
+    'off-route': 'Off its route'
+};
+export const ANOMALY_COLOR = '#FF00FF';
+
+let modeSelect = null;
+
+export function initDataQualityControls(onChange) {
+    modeSelect = document.getElementById('anomaly-mode');
+
+    if (!modeSelect) {
+        console.warn('[DataQuality] Data quality controls not found');
+        return;
+    }
+
+    modeSelect.addEventListener('change', onChange);
+}
+
+function isSuspect(anomalies) {
+    return Array.isArray(anomalies) && anomalies.length > 0;
+}
+
+export function isAnomalyHighlighted(anomalies) {
+    return modeSelect?.value === 'highlight' && isSuspect(anomalies);
+}
+
+// Suspect vehicles are hidden while the mode is 'hide'
+export function passesAnomalyFilter(anomalies) {
+    return modeSelect?.value !== 'hide' || !isSuspect(anomalies);
+}
+
+export function formatAnomalies(anomalies) {
+    if (!isSuspect(anomalies)) return '';
+    return anomalies.map(flag => ANOMALY_LABELS[flag] || flag).join(', ');
+}
@@ -0,0 +1,67 @@
+// Dead Reckoning Module - Extrapolates vehicles between polls from the backend's speed and heading estimates
+
+import { snapToRoute, pointAlong, distance, METERS_PER_DEG_LAT, METERS_PER_DEG_LNG } from './routeGeometry.js';
+
+// Stop extrapolating if no fresh data arrives for this long
+const MAX_EXTRAPOLATION_MS = 60000;
+// Point used to find the direction of travel along the track when the next stop is unknown
+const LOOKAHEAD_M = 50;
+// Without a next stop nothing says where the vehicle halts, so don't guess further than this
+const MAX_UNGUIDED_DISTANCE_M = 300;
+
+function offsetBy(origin, headingDegrees, meters) {
+    const heading = headingDegrees * Math.PI / 180;
+    return [
+        origin[0] + Math.cos(heading) * meters / METERS_PER_DEG_LAT,
+        origin[1] + Math.sin(heading) * meters / METERS_PER_DEG_LNG
+    ];
+}
+
+function towards(origin, target, meters) {
+    const total = distance(origin, target);
+    const t = total > 0 ? Math.min(1, meters / total) : 0;
+    return [origin[0] + (target[0] - origin[0]) * t, origin[1] + (target[1] - origin[1]) * t];
+}
+
+// Predicted position over time for a movement: { positionAt(nowMs), validUntil }.
+// Moves along the track when possible, never past the next stop. null without a usable estimate.
+export function buildPrediction(movement, cacheAge = 0) {
+    const motion = movement.motion;
+    if (!motion || !(motion.speed > 0)) {
+        return null;
+    }
+
+    const origin = [movement.latitude, movement.longitude];
+    const stop = movement.nextStop && movement.nextStop.latitude !== null
+        ? [movement.nextStop.latitude, movement.nextStop.longitude]
+        : null;
+    const target = stop || (motion.heading !== null ? offsetBy(origin, motion.heading, LOOKAHEAD_M) : null);
+    if (!target) {
+        return null;
+    }
+
+    // Client clock time at which the backend saw this position
+    const observedAt = Date.now() - cacheAge;
+    const validUntil = observedAt + MAX_EXTRAPOLATION_MS;
+
+    const travelled = (now) => motion.speed * Math.max(0, Math.min(now, validUntil) - observedAt) / 1000;
+
+    const snapped = snapToRoute(movement.name, origin, target);
+    if (snapped && snapped.from !== snapped.to) {
+        const direction = Math.sign(snapped.to - snapped.from);
+        const cap = stop ? Math.abs(snapped.to - snapped.from) : MAX_UNGUIDED_DISTANCE_M;
+
+        return {
+            positionAt: (now) => pointAlong(snapped.polyline, snapped.from + direction * Math.min(cap, travelled(now))),
+            validUntil
+        };
+    }
+
+    const cap = stop ? distance(origin, stop) : MAX_UNGUIDED_DISTANCE_M;
+    return {
+        positionAt: (now) => stop
+            ? towards(origin, stop, Math.min(cap, travelled(now)))
+            : offsetBy(origin, motion.heading, Math.min(cap, travelled(now))),
+        validUntil
+    };
+}
@@ -1,71 +1,78 @@
 // Debugging UI Module - Handles polygon overlays, refresh button, and marker count display
 
-// Berlin boundary coordinates
-const north = 52.6755;
-const south = 52.3383;
-const west = 13.0884;
-const east = 13.7611;
+import { API_BASE } from './frontend-config.js';
 
-const GRID_SIZE = 4;
+// Redraw the grid while the overlay is visible, it changes as the poller adapts
+const GRID_REFRESH_MS = 20000;
+
+// Box outline per last poll status, null until the box has been polled
+const BOX_STATUS_COLORS = {
+    ok: '#2ECC71',
+    empty: '#F1C40F',
+    truncated: '#E67E22',
+    failed: '#E74C3C'
+};
+const UNPOLLED_COLOR = '#7F8C8D';
 
 let polygonGroup = null;
 let markerCountDiv = null;
+let gridRefreshTimer = null;
 
 export function initDebuggingUI(map, updateMarkersCallback, markersMap) {
     map.createPane("polygonsPane");
     map.getPane("polygonsPane").style.zIndex = 400;
 
-    polygonGroup = L.featureGroup().addTo(map);
+    polygonGroup = L.featureGroup();
 
-    L.polygon([
-        [north, west],
-        [north, east],
-        [south, east],
-        [south, west]
-    ], { pane: "polygonsPane" }).addTo(polygonGroup);
+    setupPolygonButton(map);
 
-    const latStep = (north - south) / GRID_SIZE;
-    const lngStep = (east - west) / GRID_SIZE;
+    setupRefreshButton(updateMarkersCallback);
 
-    const coordinates = [];
+    setupMarkerCount(markersMap, updateMarkersCallback);
+}
 
-    for (let row = 0; row < GRID_SIZE; row++) {
-        for (let col = 0; col < GRID_SIZE; col++) {
-            const bounds = {
-                north: north - (row * latStep),
-                south: north - ((row + 1) * latStep),
-                west: west + (col * lngStep),
-                east: west + ((col + 1) * lngStep)
-            };
+// Draw the bounding boxes the poller is actually using, coloured by their last poll
+async function loadGrid() {
+    try {
+        const response = await fetch(`${API_BASE}/api/poller/boxes`);
 
-            const id = row * GRID_SIZE + col + 1;
-            coordinates.push(bounds);
-            drawLabeledPolygon(bounds, `Polygon ${id}`);
+        if (!response.ok) {
+            console.error('[Debugging UI] Failed to fetch grid:', response.status);
+            return;
         }
-    }
 
-    // Divide busy polygons into sub-grids
-    busyPolyDivider(5, coordinates);
-    busyPolyDivider(9, coordinates);
+        const grid = await response.json();
 
+        polygonGroup.clearLayers();
+        grid.boxes.forEach(box => {
+            drawLabeledPolygon(box, describeBox(box), BOX_STATUS_COLORS[box.status] || UNPOLLED_COLOR);
+        });
+    } catch (error) {
+        console.error('[Debugging UI] Error fetching grid:', error.message);
+    }
+}
 
-    map.removeLayer(polygonGroup);
+// Id and count, then latency or the error and how many polls in a row failed
+function describeBox(box) {
+    const count = box.count === null ? '?' : box.count;
+    const lines = [`Polygon ${box.id} (${count})`];
 
-    setupPolygonButton(map);
-
-    setupRefreshButton(updateMarkersCallback);
-
-    setupMarkerCount(markersMap, updateMarkersCallback);
+    if (box.status === 'failed') {
+        lines.push(`${box.error} ×${box.consecutiveFailures}`);
+    } else if (box.latencyMs !== null) {
+        lines.push(`${box.latencyMs} ms`);
+    }
+    return lines.join('<br>');
 }
 
 // original polygons
-function drawLabeledPolygon(bounds, label) {
+function drawLabeledPolygon(bounds, label, color) {
     return L.polygon([
         [bounds.north, bounds.west],
         [bounds.north, bounds.east],
         [bounds.south, bounds.east],
         [bounds.south, bounds.west]
-    ], { pane: "polygonsPane" })
+    ], { pane: "polygonsPane", color: color })
         .addTo(polygonGroup)
         .bindTooltip(label, {
             permanent: true,
@@ -75,28 +82,6 @@ function drawLabeledPolygon(bounds, label) {
         .openTooltip();
 }
 
-// sub-polgyons
-function busyPolyDivider(index, coordinates) {
-    const coorObj = coordinates[index];
-
-    const latStepDivider = (coorObj.north - coorObj.south) / 2;
-    const lngStepDivider = (coorObj.east - coorObj.west) / 2;
-
-    for (let row = 0; row < 2; row++) {
-        for (let col = 0; col < 2; col++) {
-            const bounds = {
-                north: coorObj.north - (row * latStepDivider),
-                south: coorObj.north - ((row + 1) * latStepDivider),
-                west: coorObj.west + (col * lngStepDivider),
-                east: coorObj.west + ((col + 1) * lngStepDivider)
-            };
-
-            const id = row * 2 + col + 1;
-            drawLabeledPolygon(bounds, `Polygon ${index + 1}-${id}`);
-        }
-    }
-}
-
 
 function setupPolygonButton(map) {
     const polygonButton = document.getElementById("polygon-button");
@@ -110,9 +95,12 @@ function setupPolygonButton(map) {
     polygonButton.addEventListener("click", () => {
         if (map.hasLayer(polygonGroup)) {
             map.removeLayer(polygonGroup);
+            clearInterval(gridRefreshTimer);
             polygonButtonSpan.textContent = "Off";
         } else {
             polygonGroup.addTo(map);
+            loadGrid();
+            gridRefreshTimer = setInterval(loadGrid, GRID_REFRESH_MS);
             polygonButtonSpan.textContent = "On";
         }
     });
@@ -0,0 +1,83 @@
+// Delay Module - Colour-by-delay mode, delayed-vehicle filter and formatting helpers
+
+// Upper bound in seconds for each delay class, checked in order
+const DELAY_CLASSES = [
+    { max: 60, color: '#2ECC71', label: 'On time' },
+    { max: 5 * 60, color: '#F1C40F', label: '1–5 min' },
+    { max: 10 * 60, color: '#E67E22', label: '5–10 min' },
+    { max: Infinity, color: '#E74C3C', label: '> 10 min' }
+];
+const UNKNOWN_DELAY_COLOR = '#7F8C8D';
+
+let colourToggle = null;
+let minDelayInput = null;
+let legend = null;
+
+export function initDelayControls(onChange) {
+    colourToggle = document.getElementById('delay-colour');
+    minDelayInput = document.getElementById('delay-min');
+    legend = document.getElementById('delay-legend');
+
+    if (!colourToggle || !minDelayInput) {
+        console.warn('[Delay] Delay controls not found');
+        return;
+    }
+
+    renderLegend();
+
+    colourToggle.addEventListener('change', () => {
+        legend.hidden = !colourToggle.checked;
+        onChange();
+    });
+    minDelayInput.addEventListener('input', onChange);
+}
+
+function renderLegend() {
+    if (!legend) return;
+
+    const rows = [...DELAY_CLASSES, { color: UNKNOWN_DELAY_COLOR, label: 'No data' }];
+    legend.innerHTML = rows.map(row => `
+        <div>
+            <span class="legend-dot" style="background: ${row.color};"></span>
+            <span>${row.label}</span>
+        </div>
+    `).join('');
+}
+
+export function isDelayColouring() {
+    return colourToggle?.checked === true;
+}
+
+export function getDelayColor(delay) {
+    if (delay === null || delay === undefined) {
+        return UNKNOWN_DELAY_COLOR;
+    }
+    return DELAY_CLASSES.find(c => delay < c.max).color;
+}
+
+// Vehicles delayed less than the minimum (or without data) are hidden while the filter is set
+export function passesDelayFilter(delay) {
+    const minMinutes = Number(minDelayInput?.value);
+    if (!minMinutes) {
+        return true;
+    }
+    return delay !== null && delay !== undefined && delay >= minMinutes * 60;
+}
+
+// "+3 min", "on time" or "no realtime data"
+export function formatDelay(delay) {
+    if (delay === null || delay === undefined) {
+        return 'no realtime data';
+    }
+
+    const minutes = Math.round(delay / 60);
+    if (minutes === 0) {
+        return 'on time';
+    }
+    return minutes > 0 ? `+${minutes} min` : `${minutes} min`;
+}
+
+export function formatTime(isoString) {
+    if (!isoString) return '';
+    return new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
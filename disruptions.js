@@ -0,0 +1,110 @@
+// Disruptions - Service warnings from /api/disruptions, listed in a panel and marked on the routes
+
+import { API_BASE } from './frontend-config.js';
+import { getLineColors } from './lineColors.js';
+
+const REFRESH_MS = 60000;
+
+let callbacks = null;
+let list = null;
+let countLabel = null;
+
+export function initDisruptions({ onUpdate, onSelect }) {
+    list = document.getElementById('disruption-list');
+    countLabel = document.getElementById('disruption-count');
+
+    if (!list) {
+        console.warn('[Disruptions] Disruption list not found');
+        return;
+    }
+
+    callbacks = { onUpdate, onSelect };
+
+    // Clicking a line badge zooms to that line, clicking the entry to its first line
+    list.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-line]');
+        if (target) {
+            callbacks.onSelect(target.dataset.line);
+        }
+    });
+
+    refresh();
+    setInterval(refresh, REFRESH_MS);
+}
+
+async function fetchDisruptions() {
+    try {
+        const response = await fetch(`${API_BASE}/api/disruptions`);
+        if (!response.ok) {
+            console.error('[Disruptions] Failed to fetch disruptions:', response.status);
+            return null;
+        }
+
+        const data = await response.json();
+        return data.disruptions;
+    } catch (error) {
+        console.error('[Disruptions] Error fetching disruptions:', error.message);
+        return null;
+    }
+}
+
+async function refresh() {
+    const disruptions = await fetchDisruptions();
+    if (!disruptions) return;
+
+    render(disruptions);
+
+    // Only line-wide warnings mark routes, trip status remarks stay in the list
+    const affected = new Set(disruptions
+        .filter(disruption => disruption.type === 'warning')
+        .flatMap(disruption => disruption.lines));
+    callbacks.onUpdate(affected);
+}
+
+function render(disruptions) {
+    if (countLabel) {
+        countLabel.textContent = disruptions.length > 0 ? `(${disruptions.length})` : '';
+    }
+
+    if (disruptions.length === 0) {
+        list.innerHTML = '<p class="line-stats-empty">No reported disruptions</p>';
+        return;
+    }
+
+    // Summaries, texts and line names come from VBB, so they're set as text, never as markup
+    list.replaceChildren(...disruptions.map(renderDisruption));
+}
+
+function renderDisruption(disruption) {
+    const entry = document.createElement('div');
+    entry.className = `disruption ${disruption.type}`;
+    if (disruption.lines[0]) {
+        entry.dataset.line = disruption.lines[0];
+    }
+
+    const badges = document.createElement('div');
+    badges.className = 'disruption-lines';
+    for (const line of disruption.lines) {
+        const colors = getLineColors(line);
+        const badge = document.createElement('span');
+        badge.className = 'vehicle-badge';
+        badge.dataset.line = line;
+        badge.style.background = colors.background;
+        badge.style.color = colors.text;
+        badge.textContent = line;
+        badges.append(badge);
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'disruption-summary';
+    summary.textContent = disruption.summary || disruption.text || 'Disruption';
+    entry.append(badges, summary);
+
+    if (disruption.summary && disruption.text) {
+        const details = document.createElement('small');
+        details.textContent = disruption.text;
+        entry.append(details);
+    }
+
+    return entry;
+}
@@ -0,0 +1,224 @@
+// Follow Mode - Keeps the map centred on one vehicle and shows its trip timeline
+
+import { API_BASE } from './frontend-config.js';
+import { getLineColors } from './lineColors.js';
+import { formatDelay, formatTime } from './delay.js';
+import { getHashParam, setHashParam } from './urlState.js';
+
+const CENTRE_INTERVAL_MS = 1000;
+const TIMELINE_REFRESH_MS = 30000;
+
+let followedTripId = null;
+let trip = null;
+let centring = true;
+let centreTimer = null;
+let timelineTimer = null;
+let callbacks = null;
+let panel = null;
+
+export function initFollow(map, { getVehicle }) {
+    callbacks = { getVehicle };
+
+    panel = document.getElementById('follow-panel');
+    if (!panel) {
+        console.warn('[Follow] Follow panel not found');
+        return;
+    }
+
+    // Popups stop click propagation, so listen while the event travels down
+    map.getPane('popupPane').addEventListener('click', (e) => {
+        const button = e.target.closest('.follow-button');
+        if (button) {
+            startFollow(map, button.dataset.tripId);
+        }
+    }, true);
+
+    panel.addEventListener('click', (e) => {
+        if (e.target.closest('.follow-close')) {
+            stopFollow();
+        } else if (e.target.closest('.follow-recentre')) {
+            centring = true;
+            centre(map);
+            render();
+        }
+    });
+
+    // Dragging the map pauses centring until the user asks for it again
+    map.on('dragstart', () => {
+        if (followedTripId && centring) {
+            centring = false;
+            render();
+        }
+    });
+
+    const sharedTripId = getHashParam('trip');
+    if (sharedTripId) {
+        startFollow(map, sharedTripId);
+    }
+}
+
+export function getFollowedTripId() {
+    return followedTripId;
+}
+
+function startFollow(map, tripId) {
+    stopFollow();
+
+    followedTripId = tripId;
+    centring = true;
+    setHashParam('trip', tripId);
+    map.closePopup();
+
+    panel.hidden = false;
+    render();
+
+    centre(map);
+    centreTimer = setInterval(() => centre(map), CENTRE_INTERVAL_MS);
+
+    refreshTimeline();
+    timelineTimer = setInterval(refreshTimeline, TIMELINE_REFRESH_MS);
+}
+
+export function stopFollow() {
+    clearInterval(centreTimer);
+    clearInterval(timelineTimer);
+    centreTimer = null;
+    timelineTimer = null;
+
+    if (!followedTripId) return;
+
+    followedTripId = null;
+    trip = null;
+    setHashParam('trip', null);
+
+    if (panel) {
+        panel.hidden = true;
+    }
+}
+
+function centre(map) {
+    if (!centring) return;
+
+    const vehicle = callbacks.getVehicle(followedTripId);
+    if (vehicle) {
+        map.panTo(vehicle.latLng, { animate: true, duration: CENTRE_INTERVAL_MS / 1000, easeLinearity: 1 });
+    }
+}
+
+async function fetchTrip(tripId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/trips/${encodeURIComponent(tripId)}`);
+        if (!response.ok) {
+            console.error('[Follow] Failed to fetch trip:', response.status);
+            return null;
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('[Follow] Error fetching trip:', error.message);
+        return null;
+    }
+}
+
+async function refreshTimeline() {
+    const tripId = followedTripId;
+    const data = await fetchTrip(tripId);
+
+    // Follow may have ended or switched while fetching
+    if (tripId !== followedTripId) return;
+
+    if (data) {
+        trip = data;
+    }
+    render();
+}
+
+// Realtime time the vehicle leaves (or reaches, at the terminus) a stop
+function stopoverTime(stopover) {
+    return stopover.departure || stopover.arrival || stopover.plannedDeparture || stopover.plannedArrival;
+}
+
+function nextStopIndex(stopovers, now = Date.now()) {
+    return stopovers.findIndex(stopover => {
+        const time = stopoverTime(stopover);
+        return !time || new Date(time).getTime() > now;
+    });
+}
+
+function formatEta(isoString) {
+    if (!isoString) return '';
+    const minutes = Math.round((new Date(isoString).getTime() - Date.now()) / 60000);
+    return minutes <= 0 ? 'now' : `in ${minutes} min`;
+}
+
+// Line names, directions and stop names come from VBB, so they're set as text, never as markup
+function element(tag, className = null, text = null) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== null) node.textContent = text;
+    return node;
+}
+
+function render() {
+    if (!panel || !followedTripId) return;
+
+    const vehicle = callbacks.getVehicle(followedTripId);
+    const name = trip?.line.name || vehicle?.lineName || '';
+    const colors = getLineColors(name, trip?.line.type);
+
+    const header = element('div', 'line-stats-header');
+    const badge = element('span', 'vehicle-badge', name);
+    badge.style.background = colors.background;
+    badge.style.color = colors.text;
+    const close = element('button', 'follow-close', '×');
+    close.title = 'Stop following';
+    header.append(badge, element('span', 'follow-direction', trip ? `→ ${trip.direction}` : 'Following'), close);
+
+    const status = [];
+    if (!vehicle) {
+        status.push(element('p', 'line-stats-empty', 'Vehicle is not on the map'));
+    } else if (!centring) {
+        status.push(element('button', 'follow-recentre', 'Re-centre'));
+    }
+
+    if (!trip) {
+        panel.replaceChildren(header, ...status, element('p', 'line-stats-empty', 'Loading trip…'));
+        return;
+    }
+
+    const next = nextStopIndex(trip.stopovers);
+    const nextStop = trip.stopovers[next];
+    let summary;
+    if (nextStop) {
+        const time = nextStop.arrival || nextStop.departure;
+        summary = element('div', 'vehicle-next-stop', `Next: ${nextStop.stop.name} `);
+        summary.append(element('span', 'vehicle-time', `${formatTime(time)} (${formatEta(time)})`));
+    } else {
+        summary = element('p', 'line-stats-empty', 'Trip has ended');
+    }
+
+    const timeline = element('ol', 'trip-timeline');
+    timeline.append(...trip.stopovers.map((stopover, index) => {
+        const state = next === -1 || index < next ? 'passed' : index === next ? 'next' : 'upcoming';
+        const delay = stopover.arrivalDelay ?? stopover.departureDelay;
+
+        const item = element('li', state);
+        if (stopover.cancelled) item.classList.add('cancelled');
+        item.append(
+            element('span', 'vehicle-time', formatTime(stopoverTime(stopover))),
+            ' ',
+            element('span', null, stopover.stop.name)
+        );
+        if (delay) {
+            item.append(' ', element('span', `vehicle-delay ${delay >= 60 ? 'late' : ''}`, formatDelay(delay)));
+        }
+        return item;
+    }));
+
+    panel.replaceChildren(header, ...status, summary, timeline);
+}
+
+// Called after each update cycle, the vehicle may have appeared or vanished
+export function refreshFollow() {
+    render();
+}
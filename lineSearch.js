@@ -0,0 +1,164 @@
+// Line Search - Autocomplete over known line names and pinning individual lines
+
+import { getLineColors } from './lineColors.js';
+
+const TYPE_LABELS = {
+    'subway': 'U-Bahn',
+    'tram': 'Tram',
+    'suburban': 'S-Bahn',
+    'bus': 'Bus',
+    'regional': 'Regional Train',
+    'express': 'Express Train'
+};
+
+const knownLines = new Map(); // upper-case name -> { name, type }
+const pinnedLines = new Set();
+// Pins restored from the URL before their line showed up in the data; pinned once it does,
+// never shown until then since the hash may hold anything
+const pendingPins = new Set();
+let callbacks = null;
+let input, datalist, pinnedList;
+
+export function initLineSearch({ onChange, onSelect }) {
+    input = document.getElementById('line-search');
+    datalist = document.getElementById('line-options');
+    pinnedList = document.getElementById('pinned-lines');
+
+    if (!input || !datalist || !pinnedList) {
+        console.warn('[LineSearch] Line search controls not found');
+        return;
+    }
+
+    callbacks = { onChange, onSelect };
+
+    // change fires when an option is picked, Enter pins whatever was typed
+    input.addEventListener('change', pinFromInput);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            pinFromInput();
+        }
+    });
+
+    // Clicking a pin highlights its route, the × removes it
+    pinnedList.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-line]');
+        if (!chip) return;
+
+        if (e.target.closest('.pin-remove')) {
+            unpin(chip.dataset.line);
+        } else {
+            callbacks.onSelect(chip.dataset.line);
+        }
+    });
+}
+
+// Merge line names seen in vehicle data or route geometry into the suggestions
+export function updateLineOptions(lines) {
+    const before = knownLines.size;
+
+    for (const { name, type } of lines) {
+        if (name && !knownLines.has(name.toUpperCase())) {
+            knownLines.set(name.toUpperCase(), { name, type });
+        }
+    }
+
+    if (knownLines.size === before) return;
+
+    if (datalist) {
+        renderOptions();
+    }
+
+    const adopted = Array.from(pendingPins).filter(name => knownLines.has(name.toUpperCase()));
+    if (adopted.length > 0) {
+        adopted.forEach(name => {
+            pendingPins.delete(name);
+            pinnedLines.add(knownLines.get(name.toUpperCase()).name);
+        });
+        renderPins();
+        callbacks?.onChange();
+    }
+}
+
+export function passesLineFilter(name) {
+    return pinnedLines.size === 0 || pinnedLines.has(name);
+}
+
+// Pending pins included, so they stay in the URL until their line is known
+export function getPinnedLines() {
+    return [...pinnedLines, ...pendingPins];
+}
+
+// Restores pins without notifying, the caller refilters. Unknown lines wait in pendingPins.
+export function setPinnedLines(names) {
+    pinnedLines.clear();
+    pendingPins.clear();
+    names.forEach(name => {
+        const line = knownLines.get(name.toUpperCase());
+        if (line) {
+            pinnedLines.add(line.name);
+        } else {
+            pendingPins.add(name);
+        }
+    });
+    renderPins();
+}
+
+function pinFromInput() {
+    const line = knownLines.get(input.value.trim().toUpperCase());
+    if (!line) return;
+
+    input.value = '';
+    if (pinnedLines.has(line.name)) return;
+
+    pinnedLines.add(line.name);
+    renderPins();
+    callbacks.onChange();
+}
+
+function unpin(name) {
+    pinnedLines.delete(name);
+    renderPins();
+    callbacks.onChange();
+}
+
+// Line names come from the feed and pins from the URL, so they're only ever set as text
+
+function renderOptions() {
+    const lines = Array.from(knownLines.values())
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    datalist.replaceChildren(...lines.map(line => {
+        const option = document.createElement('option');
+        option.value = line.name;
+        option.textContent = TYPE_LABELS[line.type] || '';
+        return option;
+    }));
+}
+
+function renderPins() {
+    if (!pinnedList) return;
+
+    pinnedList.replaceChildren(...Array.from(pinnedLines, name => {
+        const colors = getLineColors(name, knownLines.get(name.toUpperCase())?.type);
+
+        const chip = document.createElement('span');
+        chip.className = 'pinned-line';
+        chip.dataset.line = name;
+        chip.title = 'Highlight route';
+
+        const badge = document.createElement('span');
+        badge.className = 'vehicle-badge';
+        badge.style.background = colors.background;
+        badge.style.color = colors.text;
+        badge.textContent = name;
+
+        const remove = document.createElement('button');
+        remove.className = 'pin-remove';
+        remove.title = 'Unpin';
+        remove.textContent = '×';
+
+        chip.append(badge, remove);
+        return chip;
+    }));
+}
@@ -0,0 +1,135 @@
+// Line Stats Panel - Punctuality and headway metrics for the selected route
+
+import { API_BASE } from './frontend-config.js';
+import { getLineColors } from './lineColors.js';
+import { formatDelay } from './delay.js';
+
+const REFRESH_MS = 20000;
+
+let currentLine = null;
+let refreshTimer = null;
+
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '–';
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+async function fetchLineStats(name) {
+    try {
+        const response = await fetch(`${API_BASE}/api/lines/${encodeURIComponent(name)}/stats`);
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            console.error('[LineStats] Failed to fetch stats:', response.status);
+            return null;
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('[LineStats] Error fetching stats:', error.message);
+        return null;
+    }
+}
+
+// Element with optional class and text; line names, directions and stops come from the URL
+// hash and VBB, so they're only ever set as text
+function element(tag, className = null, text = null) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== null) node.textContent = text;
+    return node;
+}
+
+// Lines of <small> text separated by <br>
+function smallLines(container, lines) {
+    lines.forEach((line, i) => {
+        if (i > 0) container.append(document.createElement('br'));
+        container.append(element('small', null, line));
+    });
+    return container;
+}
+
+function render(panel, name, stats) {
+    const colors = getLineColors(name);
+    const header = element('div', 'line-stats-header');
+    const badge = element('span', 'vehicle-badge', name);
+    badge.style.background = colors.background;
+    badge.style.color = colors.text;
+    header.append(badge, element('span', null, 'Line statistics'));
+
+    if (!stats) {
+        panel.replaceChildren(header, element('p', 'line-stats-empty', 'No recent data for this line'));
+        return;
+    }
+
+    const details = smallLines(element('div', 'vehicle-details'), [
+        `Active vehicles: ${stats.activeVehicles}`,
+        `Average delay: ${formatDelay(stats.averageDelaySeconds)}`,
+        `Delayed 5+ min: ${stats.delayedVehicles}`
+    ]);
+
+    const headways = stats.headways.length === 0
+        ? [element('p', 'line-stats-empty', 'Not enough stop passages yet')]
+        : stats.headways.map(h => {
+            const direction = element('div', 'line-stats-direction');
+            direction.append(element('div', 'vehicle-direction', `→ ${h.direction}`));
+            return smallLines(direction, [
+                `Headway ${formatDuration(h.medianSeconds)} (max ${formatDuration(h.maxSeconds)})`,
+                `${h.bunching} bunched · ${h.gaps.length} gaps`
+            ]);
+        });
+
+    const missing = stats.missingVehicles.length === 0 ? [] : [
+        smallLines(element('div', 'line-stats-missing'), [
+            `${stats.missingVehicles.length} vehicle(s) left service early:`,
+            ...stats.missingVehicles.slice(-3).map(m => `→ ${m.direction}, last before ${m.lastStop}`)
+        ])
+    ];
+
+    panel.replaceChildren(header, details, ...headways, ...missing);
+}
+
+async function refresh() {
+    const panel = document.getElementById('line-stats');
+    if (!panel || !currentLine) return;
+
+    const name = currentLine;
+    const stats = await fetchLineStats(name);
+
+    // Selection may have changed while fetching
+    if (name === currentLine) {
+        render(panel, name, stats);
+    }
+}
+
+export function showLineStats(name) {
+    const panel = document.getElementById('line-stats');
+    if (!panel) {
+        console.warn('[LineStats] Stats panel not found');
+        return;
+    }
+
+    currentLine = name;
+    panel.hidden = false;
+    panel.innerHTML = '<p class="line-stats-empty">Loading…</p>';
+
+    clearInterval(refreshTimer);
+    refresh();
+    refreshTimer = setInterval(refresh, REFRESH_MS);
+}
+
+export function hideLineStats() {
+    const panel = document.getElementById('line-stats');
+
+    currentLine = null;
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+
+    if (panel) {
+        panel.hidden = true;
+    }
+}
@@ -1,8 +1,28 @@
-import { getData } from './vbb_data.js'
+import { getData, subscribeToMovements, stopMovementUpdates, setMovementQuery } from './vbb_data.js'
 import { getLineColors } from './lineColors.js'
 import { initDebuggingUI, updateMarkerCount } from './debugging_ui.js'
-
-const map = L.map('map').setView([52.52, 13.414], 13);
+import { initReplay } from './replay.js'
+import { initStops } from './stops.js'
+import { initFollow, refreshFollow, stopFollow, getFollowedTripId } from './follow.js'
+import { initDisruptions } from './disruptions.js'
+import { initLineSearch, updateLineOptions, passesLineFilter, getPinnedLines, setPinnedLines } from './lineSearch.js'
+import { readViewState, saveViewState, onViewStateChange, setHashParam } from './urlState.js'
+import { showLineStats, hideLineStats } from './lineStatsPanel.js'
+import { registerRouteFeature, buildRoutePath, distance, bearing } from './routeGeometry.js'
+import { buildPrediction } from './deadReckoning.js'
+import { createVehicleRenderer, vehicleMarker, startAnimation, stopAnimation, isClusterZoom, isDetailZoom, getMarkerRadius, CLUSTER_MAX_ZOOM } from './vehicleRenderer.js'
+import { initClusters, setClustersVisible, updateClusters } from './vehicleClusters.js'
+import { initDelayControls, isDelayColouring, getDelayColor, passesDelayFilter, formatDelay, formatTime } from './delay.js'
+import { initDataQualityControls, isAnomalyHighlighted, passesAnomalyFilter, formatAnomalies, ANOMALY_COLOR } from './dataQuality.js'
+
+// Shared link or last used view, restored once the controls exist
+const savedView = readViewState();
+let restoringView = false;
+
+const map = L.map('map').setView(
+    savedView.map ? [savedView.map.lat, savedView.map.lng] : [52.52, 13.414],
+    savedView.map ? savedView.map.zoom : 13
+);
 map.createPane("markersPane");
 map.getPane("markersPane").style.zIndex = 650;
 
@@ -16,6 +36,9 @@ const markersLayer = L.layerGroup().addTo(map);
 
 const markers = new Map();
 
+// All vehicles share one canvas in the markers pane
+const vehicleRenderer = createVehicleRenderer("markersPane");
+
 
 
 // Color scheme for different transport types
@@ -28,14 +51,22 @@ const TYPE_COLORS = {
     'express': '#D62828'
 };
 
-function getMarkerStyle(type, isMissed = false) {
-    const color = isMissed ? '#999999' : (TYPE_COLORS[type] || '#0066CC');
+function getMarkerStyle(type, isMissed = false, delay = null, anomalies = []) {
+    const baseColor = isDelayColouring() ? getDelayColor(delay) : (TYPE_COLORS[type] || '#0066CC');
+    const color = isMissed ? '#999999' : baseColor;
+    // Suspect vehicles keep their fill and get a loud outline
+    const highlighted = isAnomalyHighlighted(anomalies);
+    const zoom = map.getZoom();
     return {
-        radius: 6,
-        color: color,
+        radius: getMarkerRadius(zoom),
+        detailed: isDetailZoom(zoom),
+        color: highlighted ? ANOMALY_COLOR : color,
+        weight: highlighted ? 3 : 1,
         fillColor: color,
         fillOpacity: 0.8,
-        pane: "markersPane"
+        muted: isMissed,
+        pane: "markersPane",
+        renderer: vehicleRenderer
     };
 }
 
@@ -43,6 +74,61 @@ function timestamp() {
     return new Date().toISOString();
 }
 
+// Heading from the previous to the current position. Vehicles standing still keep
+// their last heading, new ones fall back to the backend's estimate.
+const MIN_HEADING_DISTANCE_M = 5;
+
+function headingOf(movement, lastHeading = null) {
+    const previous = movement.previousPosition;
+    if (previous) {
+        const from = [previous.latitude, previous.longitude];
+        const to = [movement.latitude, movement.longitude];
+        if (distance(from, to) >= MIN_HEADING_DISTANCE_M) {
+            return bearing(from, to);
+        }
+    }
+    return lastHeading ?? movement.motion?.heading ?? null;
+}
+
+// Popup content is markup, VBB strings in it are escaped
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function buildPopupContent(movement) {
+    const colors = getLineColors(movement.name, movement.type);
+    const delayClass = movement.delay >= 60 ? 'late' : '';
+    const nextStop = movement.nextStop
+        ? `<div class="vehicle-next-stop">Next: ${escapeHtml(movement.nextStop.name)} <span class="vehicle-time">${formatTime(movement.nextStop.arrival)}</span></div>`
+        : '';
+    const anomalies = formatAnomalies(movement.anomalies);
+    const anomalyNote = anomalies
+        ? `<div class="vehicle-anomalies" title="Position data looks wrong">⚠ ${anomalies}</div>`
+        : '';
+
+    return `
+                <div class="vehicle-card">
+                    <div class="vehicle-header">
+                        <span class="vehicle-badge" style="background: ${colors.background}; color: ${colors.text};">${escapeHtml(movement.name)}</span>
+                        <span class="vehicle-delay ${delayClass}">${formatDelay(movement.delay)}</span>
+                    </div>
+                    <div class="vehicle-direction">→ ${escapeHtml(movement.direction)}</div>
+                    ${nextStop}
+                    ${anomalyNote}
+                    <div class="vehicle-details">
+                        <small>Trip: ${escapeHtml(movement.tripId)}</small><br>
+                        <small>Type: ${movement.type}</small>
+                    </div>
+                    <button class="follow-button" data-trip-id="${escapeHtml(movement.tripId)}">Follow</button>
+                </div>
+            `;
+}
+
 // Track update cycle for debugging
 let updateCycleCount = 0;
 let lastNonEmptyUpdate = null;
@@ -50,6 +136,11 @@ let consecutiveEmptyUpdates = 0;
 
 // update marker function
 async function updateMarkers() {
+    renderMovements(await getData());
+}
+
+// apply a movements snapshot (polled or streamed) to the markers
+function renderMovements(result) {
     updateCycleCount++;
     const cycleId = updateCycleCount;
     const tag = '[Map]';
@@ -57,8 +148,7 @@ async function updateMarkers() {
     console.log(`[Map] ${timestamp()} Cycle ${cycleId} start`);
     console.log(`[Map] Markers: ${markers.size}`);
 
-    const result = await getData();
-    const { movements: allData, cacheAge, isStale } = result;
+    const { movements: allData, cacheAge, isStale, animationMs = 20000 } = result;
 
     if (!Array.isArray(allData) || allData.length === 0) {
         consecutiveEmptyUpdates++;
@@ -102,24 +192,15 @@ async function updateMarkers() {
                 startLng = movement.longitude;
             }
 
-            const colors = getLineColors(movement.name, movement.type);
-            const popupContent = `
-                <div class="vehicle-card">
-                    <div class="vehicle-header">
-                        <span class="vehicle-badge" style="background: ${colors.background}; color: ${colors.text};">${movement.name}</span>
-                    </div>
-                    <div class="vehicle-direction">→ ${movement.direction}</div>
-                    <div class="vehicle-details">
-                        <small>Trip: ${movement.tripId}</small><br>
-                        <small>Type: ${movement.type}</small>
-                    </div>
-                </div>
-            `;
-
-            const createdMarker = L.circleMarker(
+            const createdMarker = vehicleMarker(
                 [startLat, startLng],
-                getMarkerStyle(movement.type)
-            ).addTo(markersLayer).bindPopup(popupContent);
+                {
+                    ...getMarkerStyle(movement.type, false, movement.delay, movement.anomalies),
+                    heading: headingOf(movement),
+                    label: movement.name,
+                    badge: getLineColors(movement.name, movement.type)
+                }
+            ).addTo(markersLayer).bindPopup(buildPopupContent(movement));
 
             // Add click handler for route selection
             createdMarker.on('click', function (e) {
@@ -132,26 +213,41 @@ async function updateMarkers() {
                 misses: 0,
                 lastSeen: Date.now(),
                 type: movement.type,
-                lineName: movement.name
+                lineName: movement.name,
+                delay: movement.delay ?? null,
+                anomalies: movement.anomalies ?? [],
+                heading: createdMarker.options.heading
             })
 
-            // Start animation if we have previous position AND fresh data
-            if (movement.previousPosition && useAnimation) {
-                animateMarker(createdMarker, movement.latitude, movement.longitude)
+            // Extrapolate from the backend's estimate, else animate from the previous position (fresh data only)
+            const prediction = useAnimation ? buildPrediction(movement, cacheAge) : null;
+            if (prediction) {
+                followPrediction(createdMarker, prediction);
+            } else if (movement.previousPosition && useAnimation) {
+                animateMarker(createdMarker, movement.latitude, movement.longitude, animationMs, movement.name)
             }
         } else {
             const entry = markers.get(movement.tripId);
             entry.misses = 0;
             entry.lastSeen = Date.now()
+            entry.delay = movement.delay ?? null;
+            entry.anomalies = movement.anomalies ?? [];
+            entry.marker.setPopupContent(buildPopupContent(movement));
+            entry.heading = headingOf(movement, entry.heading);
+            entry.marker.setHeading(entry.heading);
 
             // FIX: Teleport if stale, animate if fresh
-            if (useAnimation) {
-                animateMarker(entry.marker, movement.latitude, movement.longitude);
+            const prediction = useAnimation ? buildPrediction(movement, cacheAge) : null;
+            if (prediction) {
+                followPrediction(entry.marker, prediction);
+            } else if (useAnimation) {
+                animateMarker(entry.marker, movement.latitude, movement.longitude, animationMs, entry.lineName);
             } else {
                 // Teleport - instant position update
+                stopAnimation(entry.marker);
                 entry.marker.setLatLng([movement.latitude, movement.longitude]);
             }
-            entry.marker.setStyle(getMarkerStyle(entry.type));
+            entry.marker.setStyle(getMarkerStyle(entry.type, false, entry.delay, entry.anomalies));
         }
     });
     // cleanup
@@ -159,11 +255,12 @@ async function updateMarkers() {
     let staleCount = 0;
     for (const [tripId, entry] of markers.entries()) {
         if (entry.misses >= 3) {
+            stopAnimation(entry.marker);
             entry.marker.removeFrom(markersLayer);
             markers.delete(tripId);
             removedCount++;
         } else if (entry.misses >= 1) {
-            entry.marker.setStyle(getMarkerStyle(entry.type, true));
+            entry.marker.setStyle(getMarkerStyle(entry.type, true, entry.delay, entry.anomalies));
             staleCount++;
         }
     }
@@ -172,61 +269,187 @@ async function updateMarkers() {
     console.log(`${tag} [${timestamp()}] ━━━ Update Cycle #${cycleId} END ━━━`);
     console.log(`${tag}   └─ Final marker count: ${markers.size}`);
 
+    updateLineOptions(Array.from(markers.values(), entry => ({ name: entry.lineName, type: entry.type })));
     filterMarkers()
     updateMarkerCount(markers.size);
+    refreshFollow();
 }
 
 
 // Initialize debugging UI (polygons, refresh button, marker count)
 initDebuggingUI(map, updateMarkers, markers);
 
-updateMarkers();
+// Replay mode swaps live updates for recorded frames
+initReplay(map, {
+    onStart: () => {
+        stopFollow();
+        stopMovementUpdates();
+        clearMarkers();
+    },
+    onFrame: renderMovements,
+    onStop: () => {
+        clearMarkers();
+        subscribeToMovements(renderMovements);
+    }
+});
+
+// Follow mode centres the map on a vehicle picked from its popup
+initFollow(map, {
+    getVehicle: (tripId) => {
+        const entry = markers.get(tripId);
+        return entry ? { latLng: entry.marker.getLatLng(), lineName: entry.lineName } : null;
+    }
+});
+
+// Departure boards highlight the vehicle if it's on the map
+const HIGHLIGHT_MS = 4000;
 
+initStops(map, {
+    onDepartureClick: highlightVehicle,
+    isVehicleOnMap: (tripId) => markers.has(tripId)
+});
+
+function highlightVehicle(tripId) {
+    const entry = markers.get(tripId);
+    if (!entry || !markersLayer.hasLayer(entry.marker)) {
+        return false;
+    }
 
-setInterval(updateMarkers, 20000)
+    // Clusters hide single vehicles, zoom in far enough to show it
+    if (isClusterZoom(map.getZoom())) {
+        map.setView(entry.marker.getLatLng(), CLUSTER_MAX_ZOOM + 2, { animate: false });
+    } else {
+        map.panTo(entry.marker.getLatLng());
+    }
+    entry.marker.setStyle({ radius: 10, weight: 4, color: '#ffffff' });
+    entry.marker.openPopup();
+
+    setTimeout(() => {
+        entry.marker.setStyle(getMarkerStyle(entry.type, entry.misses >= 1, entry.delay, entry.anomalies));
+    }, HIGHLIGHT_MS);
+
+    return true;
+}
 
-function animateMarker(marker, newLat, newLng) {
+// Move along the track when both ends lie on the line's geometry, else a straight line
+function animateMarker(marker, newLat, newLng, duration = 20000, lineName = null) {
     const start = marker.getLatLng();
     const end = { lat: newLat, lng: newLng };
-    const duration = 20000; // FIX: Match updated frontend poll interval (20s)
     const startTime = performance.now();
 
-    function animate() {
-        const now = performance.now()
-        const elapsed = now - startTime;
-        let t = elapsed / duration;
+    const routePath = lineName ? buildRoutePath(lineName, [start.lat, start.lng], [end.lat, end.lng]) : null;
+
+    startAnimation(marker, (now) => {
         //Clamp t between 0 and 1
-        if (t > 1) t = 1;
-        const currentLat = start.lat + (end.lat - start.lat) * t;
-        const currentLng = start.lng + (end.lng - start.lng) * t;
-        marker.setLatLng([currentLat, currentLng]);
-        if (t < 1) {
-            requestAnimationFrame(animate)
-        }
-    }
-    animate();
+        const t = Math.min(1, (now - startTime) / duration);
+        const latLng = routePath
+            ? routePath(t)
+            : [start.lat + (end.lat - start.lat) * t, start.lng + (end.lng - start.lng) * t];
+
+        return { latLng, done: t >= 1 };
+    });
+}
+
+// Ease from where the marker is now onto the predicted track, then keep following the prediction
+const CORRECTION_MS = 3000;
+
+function followPrediction(marker, prediction) {
+    const start = marker.getLatLng();
+    const startTime = performance.now();
+
+    startAnimation(marker, (now) => {
+        const blend = Math.min(1, (now - startTime) / CORRECTION_MS);
+        // ease-out so corrections settle gently
+        const eased = 1 - (1 - blend) * (1 - blend);
+
+        const wallClock = Date.now();
+        const [lat, lng] = prediction.positionAt(wallClock);
+
+        return {
+            latLng: [start.lat + (lat - start.lat) * eased, start.lng + (lng - start.lng) * eased],
+            done: blend >= 1 && wallClock >= prediction.validUntil
+        };
+    });
+}
+
+// Remove every vehicle marker, e.g. when switching between live and replay data
+function clearMarkers() {
+    markers.forEach(entry => {
+        stopAnimation(entry.marker);
+        entry.marker.removeFrom(markersLayer);
+    });
+    markers.clear();
+    updateMarkerCount(0);
 }
 
 const movementFilter = document.getElementById("movement-filter");
 const momvementCheckboxes = movementFilter.querySelectorAll('input[type="checkbox"]');
 
 momvementCheckboxes.forEach(checkbox => {
-    checkbox.addEventListener("change", filterMarkers);
+    checkbox.addEventListener("change", () => {
+        filterMarkers();
+        updateMovementQuery({ force: true });
+        recordViewState();
+    });
+});
+
+function restyleMarkers() {
+    markers.forEach(entry => {
+        entry.marker.setStyle(getMarkerStyle(entry.type, entry.misses >= 1, entry.delay, entry.anomalies));
+    });
+}
+
+// Delay mode changes colours and the delay filter changes visibility
+initDelayControls(() => {
+    restyleMarkers();
+    filterMarkers();
 });
 
+// Suspect vehicles can be outlined or hidden
+initDataQualityControls(() => {
+    restyleMarkers();
+    filterMarkers();
+});
+
+// Zoom-dependent rendering: clusters per product type when zoomed out, scaled dots
+// in between, heading arrows and line labels when zoomed in
+initClusters(map, {
+    getVehicles: () => Array.from(markers.values())
+        .filter(entry => markersLayer.hasLayer(entry.marker))
+        .map(entry => ({ latLng: entry.marker.getLatLng(), type: entry.type })),
+    colors: TYPE_COLORS
+});
+
+function applyZoomMode() {
+    const clustered = isClusterZoom(map.getZoom());
+
+    if (clustered) {
+        markersLayer.removeFrom(map);
+    } else {
+        markersLayer.addTo(map);
+    }
+    setClustersVisible(map, clustered);
+    restyleMarkers();
+}
+
+map.on('zoomend', applyZoomMode);
+applyZoomMode();
+
 function filterMarkers() {
     const checked = new Set(Array.from(momvementCheckboxes)
         .filter(checkbox => checkbox.checked)
         .map(checkbox => checkbox.value));
 
     markers.forEach(entry => {
-        if (!checked.has(entry.type)) {
+        if (!checked.has(entry.type) || !passesDelayFilter(entry.delay) || !passesLineFilter(entry.lineName) ||
+            !passesAnomalyFilter(entry.anomalies)) {
             entry.marker.removeFrom(markersLayer);
         } else {
             entry.marker.addTo(markersLayer);
         }
     })
 
+    updateClusters(map);
 }
 
 // load public transport lines
@@ -254,6 +477,7 @@ async function loadGeoJSON(url, color, type) {
                         defaultColor: color,
                         type: type
                     });
+                    registerRouteFeature(ref, feature.geometry);
                 } else {
                     console.warn(`[DEBUG] Feature missing ref property in ${type}:`, feature.properties);
                 }
@@ -285,6 +509,7 @@ function selectRouteByRef(ref) {
 
     selectedRoute = ref;
     console.log(`[Route Selection] Selected route: ${ref}`);
+    showLineStats(ref);
 
     // Dim all routes
     routeFeatures.forEach((features, routeRef) => {
@@ -294,34 +519,42 @@ function selectRouteByRef(ref) {
                 featureData.layer.setStyle({
                     color: featureData.defaultColor,
                     opacity: 1,
-                    weight: 5
+                    weight: 5,
+                    dashArray: disruptedDash(ref)
                 });
             } else {
                 // Dim other routes
                 featureData.layer.setStyle({
                     color: '#555555',
                     opacity: 0.2,
-                    weight: 2
+                    weight: 2,
+                    dashArray: disruptedDash(routeRef)
                 });
             }
         });
     });
+
+    recordViewState();
 }
 
 // Function to reset route selection 
 function resetRouteSelection() {
     selectedRoute = null;
+    hideLineStats();
 
     // Restore all routes to their default colors
-    routeFeatures.forEach((features) => {
+    routeFeatures.forEach((features, ref) => {
         features.forEach(featureData => {
             featureData.layer.setStyle({
                 color: featureData.defaultColor,
                 opacity: 1,
-                weight: 3
+                weight: 3,
+                dashArray: disruptedDash(ref)
             });
         });
     });
+
+    recordViewState();
 }
 
 // Add map click handler to deselect routes when clicking empty space
@@ -340,6 +573,20 @@ map.on('click', function (e) {
 
     // Apply initial filter state after all layers are loaded
     filterLines();
+    filterRouteFeatures();
+    markDisruptedRoutes(disruptedLines);
+    updateLineOptions(Array.from(routeFeatures.entries(), ([ref, features]) => ({
+        name: ref,
+        type: features[0].type.replace('_line', '')
+    })));
+
+    // Route highlighting needs the geometry. The hash is user input, only known lines are restored
+    if (savedView.route && routeFeatures.has(savedView.route)) {
+        restoringView = true;
+        selectRouteByRef(savedView.route);
+        restoringView = false;
+        recordViewState({ push: false });
+    }
 })();
 
 
@@ -367,6 +614,169 @@ function filterLines() {
 
 }
 
+// Routes with reported disruptions are drawn dashed
+let disruptedLines = new Set();
+
+function disruptedDash(ref) {
+    return disruptedLines.has(ref) ? '8 6' : null;
+}
+
+function markDisruptedRoutes(lines) {
+    disruptedLines = lines;
+    routeFeatures.forEach((features, ref) => {
+        features.forEach(featureData => {
+            featureData.layer.setStyle({ dashArray: disruptedDash(ref) });
+        });
+    });
+}
+
+// Show the whole line and highlight it
+function zoomToLine(ref) {
+    const features = routeFeatures.get(ref);
+    if (!features) {
+        console.warn(`[Disruptions] No route geometry for ${ref}`);
+        return;
+    }
+
+    const bounds = L.latLngBounds([]);
+    features.forEach(featureData => bounds.extend(featureData.layer.getBounds()));
+    map.fitBounds(bounds, { padding: [40, 40] });
+
+    if (selectedRoute !== ref) {
+        selectRouteByRef(ref);
+    }
+}
+
+initDisruptions({
+    onUpdate: markDisruptedRoutes,
+    onSelect: zoomToLine
+});
+
+// Pinned lines hide every other route, within the visible route types
+function filterRouteFeatures() {
+    routeFeatures.forEach((features, ref) => {
+        const visible = passesLineFilter(ref);
+        features.forEach(featureData => {
+            const parent = geoJSONLayers.get(featureData.type);
+            if (!parent) return;
+
+            if (visible && !parent.hasLayer(featureData.layer)) {
+                parent.addLayer(featureData.layer);
+            } else if (!visible && parent.hasLayer(featureData.layer)) {
+                parent.removeLayer(featureData.layer);
+            }
+        });
+    });
+}
+
+// Pinning lines narrows both vehicles and route geometry
+initLineSearch({
+    onChange: () => {
+        filterMarkers();
+        filterRouteFeatures();
+        recordViewState();
+    },
+    onSelect: (name) => selectRouteByRef(name)
+});
+
 lineCheckboxes.forEach(checkbox => {
-    checkbox.addEventListener("change", filterLines);
+    checkbox.addEventListener("change", () => {
+        filterLines();
+        recordViewState();
+    });
 })
+
+// View state: filters, selected route and viewport live in the URL hash and localStorage
+
+function currentViewState() {
+    const center = map.getCenter();
+    const checkedValues = (checkboxes) => Array.from(checkboxes)
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value);
+
+    return {
+        map: { lat: center.lat, lng: center.lng, zoom: map.getZoom() },
+        vehicles: checkedValues(momvementCheckboxes),
+        lines: checkedValues(lineCheckboxes),
+        pins: getPinnedLines(),
+        route: selectedRoute
+    };
+}
+
+function recordViewState({ push = true } = {}) {
+    if (restoringView) return;
+    saveViewState(currentViewState(), { push });
+}
+
+function applyViewState(state) {
+    restoringView = true;
+
+    if (state.map) {
+        // Without animation moveend fires right away, while restoringView is still set
+        map.setView([state.map.lat, state.map.lng], state.map.zoom, { animate: false });
+    }
+    if (state.vehicles) {
+        momvementCheckboxes.forEach(checkbox => {
+            checkbox.checked = state.vehicles.includes(checkbox.value);
+        });
+        filterMarkers();
+        updateMovementQuery({ force: true });
+    }
+    if (state.lines) {
+        lineCheckboxes.forEach(checkbox => {
+            checkbox.checked = state.lines.includes(checkbox.value);
+        });
+        filterLines();
+    }
+    if (state.pins) {
+        setPinnedLines(state.pins);
+        filterMarkers();
+        filterRouteFeatures();
+    }
+    if (state.route !== selectedRoute) {
+        if (state.route && routeFeatures.has(state.route)) {
+            selectRouteByRef(state.route);
+        } else {
+            resetRouteSelection();
+        }
+    }
+
+    restoringView = false;
+}
+
+// Only the visible area plus a margin and the checked types are requested from the backend
+const VIEWPORT_MARGIN = 0.25;
+let requestedBounds = null;
+
+function updateMovementQuery({ force = false } = {}) {
+    const view = map.getBounds();
+    // Panning or zooming in within the area already loaded needs no refetch
+    if (!force && requestedBounds && requestedBounds.contains(view)) return;
+
+    requestedBounds = view.pad(VIEWPORT_MARGIN);
+    setMovementQuery({
+        bbox: [requestedBounds.getWest(), requestedBounds.getSouth(), requestedBounds.getEast(), requestedBounds.getNorth()],
+        types: Array.from(momvementCheckboxes)
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value)
+    });
+}
+
+applyViewState({ ...savedView, map: null, route: null });
+recordViewState({ push: false });
+updateMovementQuery({ force: true });
+
+// Stream live updates, falls back to polling if the stream is unavailable
+subscribeToMovements(renderMovements);
+
+// Follow mode pans every second, so only settled views get their own history entry
+map.on('moveend', () => {
+    updateMovementQuery();
+    recordViewState({ push: !getFollowedTripId() });
+});
+
+onViewStateChange((state) => {
+    applyViewState(state);
+    // The restored entry may carry an outdated followed trip
+    setHashParam('trip', getFollowedTripId());
+});
@@ -37,13 +37,16 @@ async function updateUI() {
     const cardElement = document.getElementById('rate-limit-card');
 
     if (countElement) {
-        countElement.textContent = `${stats.count}/${stats.limit}`;
+        const queued = stats.scheduler?.queueDepth || 0;
+        countElement.textContent = queued > 0
+            ? `${stats.count}/${stats.limit} (${queued} queued)`
+            : `${stats.count}/${stats.limit}`;
     }
 
     if (cardElement) {
         // Update card styling based on usage
         cardElement.classList.remove('warning', 'critical');
-        if (stats.isCritical) {
+        if (stats.isCritical || stats.scheduler?.isBackingOff) {
             cardElement.classList.add('critical');
         } else if (stats.isWarning) {
             cardElement.classList.add('warning');
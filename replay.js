@@ -0,0 +1,203 @@
+// Replay Module - Plays back recorded vehicle positions from /api/history
+
+import { API_BASE } from './frontend-config.js';
+
+// Recorded frames are one poll apart
+const FRAME_INTERVAL_MS = 20000;
+// Length of the window loaded per replay
+const REPLAY_WINDOW_MS = 30 * 60 * 1000;
+
+let frames = [];
+let frameIndex = 0;
+let playTimer = null;
+let callbacks = null;
+
+let toggle, startInput, loadButton, slider, timeLabel, playButton, speedSelect, panel;
+
+export function initReplay(map, { onStart, onFrame, onStop }) {
+    callbacks = { onStart, onFrame, onStop };
+
+    toggle = document.getElementById('replay-toggle');
+    panel = document.getElementById('replay-panel');
+    startInput = document.getElementById('replay-start');
+    loadButton = document.getElementById('replay-load');
+    slider = document.getElementById('replay-slider');
+    timeLabel = document.getElementById('replay-time');
+    playButton = document.getElementById('replay-play');
+    speedSelect = document.getElementById('replay-speed');
+
+    if (!toggle || !panel) {
+        console.warn('[Replay] Replay controls not found');
+        return;
+    }
+
+    toggle.addEventListener('change', () => {
+        if (toggle.checked) {
+            enterReplay();
+        } else {
+            exitReplay();
+        }
+    });
+
+    loadButton.addEventListener('click', () => loadFrames(map));
+
+    // Scrubbing jumps straight to the frame
+    slider.addEventListener('input', () => {
+        pause();
+        showFrame(Number(slider.value), false);
+    });
+
+    playButton.addEventListener('click', () => {
+        if (playTimer) {
+            pause();
+        } else {
+            play();
+        }
+    });
+
+    speedSelect.addEventListener('change', () => {
+        if (playTimer) {
+            pause();
+            play();
+        }
+    });
+}
+
+function enterReplay() {
+    panel.hidden = false;
+
+    // Default to the last half hour
+    const start = new Date(Date.now() - REPLAY_WINDOW_MS);
+    startInput.value = toLocalInputValue(start);
+
+    callbacks.onStart();
+    console.log('[Replay] Entered replay mode');
+}
+
+function exitReplay() {
+    pause();
+    frames = [];
+    panel.hidden = true;
+    timeLabel.textContent = '--:--:--';
+
+    callbacks.onStop();
+    console.log('[Replay] Back to live data');
+}
+
+// Load the window starting at the chosen time for the visible map area
+async function loadFrames(map) {
+    const from = new Date(startInput.value);
+    if (isNaN(from)) {
+        console.warn('[Replay] Invalid start time');
+        return;
+    }
+
+    const to = new Date(Math.min(from.getTime() + REPLAY_WINDOW_MS, Date.now()));
+    const bounds = map.getBounds().pad(0.2);
+    const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].join(',');
+    const url = `${API_BASE}/api/history?from=${from.toISOString()}&to=${to.toISOString()}&bbox=${bbox}`;
+
+    pause();
+    timeLabel.textContent = 'Loading...';
+
+    try {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            console.error('[Replay] Failed to load history:', response.status);
+            timeLabel.textContent = 'No data';
+            return;
+        }
+
+        const result = await response.json();
+        frames = toMovementFrames(result.frames);
+    } catch (error) {
+        console.error('[Replay] Error loading history:', error.message);
+        timeLabel.textContent = 'No data';
+        return;
+    }
+
+    console.log(`[Replay] Loaded ${frames.length} frames`);
+
+    if (frames.length === 0) {
+        timeLabel.textContent = 'No data';
+        return;
+    }
+
+    slider.max = String(frames.length - 1);
+    showFrame(0, false);
+}
+
+// Give every movement the position from the frame before, like live data carries previousPosition
+function toMovementFrames(recordedFrames) {
+    let previous = new Map();
+
+    return recordedFrames.map(frame => {
+        const movements = frame.movements.map(movement => ({
+            ...movement,
+            previousPosition: previous.get(movement.tripId) || null
+        }));
+
+        previous = new Map(frame.movements.map(m => [m.tripId, {
+            latitude: m.latitude,
+            longitude: m.longitude
+        }]));
+
+        return { time: new Date(frame.time), movements };
+    });
+}
+
+function showFrame(index, animate) {
+    const frame = frames[index];
+    if (!frame) return;
+
+    frameIndex = index;
+    slider.value = String(index);
+    timeLabel.textContent = frame.time.toLocaleTimeString();
+
+    callbacks.onFrame({
+        movements: frame.movements,
+        cacheAge: 0,
+        // Teleport when scrubbing, animate when playing
+        isStale: !animate,
+        animationMs: frameDuration()
+    });
+}
+
+function frameDuration() {
+    return FRAME_INTERVAL_MS / Number(speedSelect.value || 1);
+}
+
+function play() {
+    if (frames.length === 0) return;
+
+    // Restart from the beginning when at the end
+    if (frameIndex >= frames.length - 1) {
+        showFrame(0, false);
+    }
+
+    playButton.textContent = 'Pause';
+    playTimer = setInterval(() => {
+        if (frameIndex >= frames.length - 1) {
+            pause();
+            return;
+        }
+        showFrame(frameIndex + 1, true);
+    }, frameDuration());
+}
+
+function pause() {
+    if (playTimer) {
+        clearInterval(playTimer);
+        playTimer = null;
+    }
+    if (playButton) {
+        playButton.textContent = 'Play';
+    }
+}
+
+// datetime-local inputs expect local time without a timezone suffix
+function toLocalInputValue(date) {
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
@@ -0,0 +1,145 @@
+// Route Geometry Module - Track polylines by line ref, used to move vehicles along the track
+
+// Local flat projection, accurate enough at Berlin's latitude for distances of a few kilometres
+export const METERS_PER_DEG_LAT = 110540;
+export const METERS_PER_DEG_LNG = 111320 * Math.cos(52.5 * Math.PI / 180);
+
+// Both endpoints must lie this close to the track
+const SNAP_TOLERANCE_M = 60;
+// Reject paths much longer than the straight line (wrong branch, loop)
+const MAX_DETOUR_FACTOR = 3;
+const MAX_DETOUR_SLACK_M = 200;
+
+// ref -> [{ points: [[lat, lng], ...], cumulative: [meters from start, ...] }]
+const routes = new Map();
+
+export function distance(a, b) {
+    const dx = (b[1] - a[1]) * METERS_PER_DEG_LNG;
+    const dy = (b[0] - a[0]) * METERS_PER_DEG_LAT;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Degrees clockwise from north, same flat projection as distance()
+export function bearing(a, b) {
+    const dx = (b[1] - a[1]) * METERS_PER_DEG_LNG;
+    const dy = (b[0] - a[0]) * METERS_PER_DEG_LAT;
+    return (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+}
+
+function toPolyline(coordinates) {
+    // GeoJSON positions are [lng, lat]
+    const points = coordinates.map(([lng, lat]) => [lat, lng]);
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        cumulative.push(cumulative[i - 1] + distance(points[i - 1], points[i]));
+    }
+    return { points, cumulative };
+}
+
+// Store the line parts of a route feature, called for every feature of the GeoJSON layers
+export function registerRouteFeature(ref, geometry) {
+    if (!ref || !geometry) return;
+
+    const parts = geometry.type === 'LineString' ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates
+            : [];
+
+    if (!routes.has(ref)) {
+        routes.set(ref, []);
+    }
+    for (const coordinates of parts) {
+        if (coordinates.length >= 2) {
+            routes.get(ref).push(toPolyline(coordinates));
+        }
+    }
+}
+
+export function hasRoute(ref) {
+    return routes.has(ref);
+}
+
+// Closest point on a polyline: { along, offset, point }
+function project(polyline, point) {
+    const { points, cumulative } = polyline;
+    let best = null;
+
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const abx = (b[1] - a[1]) * METERS_PER_DEG_LNG;
+        const aby = (b[0] - a[0]) * METERS_PER_DEG_LAT;
+        const apx = (point[1] - a[1]) * METERS_PER_DEG_LNG;
+        const apy = (point[0] - a[0]) * METERS_PER_DEG_LAT;
+        const lengthSq = abx * abx + aby * aby;
+
+        let t = lengthSq > 0 ? (apx * abx + apy * aby) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+
+        const projected = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+        const offset = distance(point, projected);
+
+        if (!best || offset < best.offset) {
+            best = { along: cumulative[i - 1] + (cumulative[i] - cumulative[i - 1]) * t, offset, point: projected };
+        }
+    }
+
+    return best;
+}
+
+// Point at a distance along a polyline
+export function pointAlong(polyline, along) {
+    const { points, cumulative } = polyline;
+    const total = cumulative[cumulative.length - 1];
+    const target = Math.max(0, Math.min(total, along));
+
+    // Binary search for the segment containing target
+    let low = 1;
+    let high = cumulative.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] < target) low = mid + 1;
+        else high = mid;
+    }
+
+    const a = points[low - 1];
+    const b = points[low];
+    const segment = cumulative[low] - cumulative[low - 1];
+    const t = segment > 0 ? (target - cumulative[low - 1]) / segment : 0;
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Part of the route both points snap to, with their positions along it. null if none fits.
+export function snapToRoute(ref, start, end) {
+    const polylines = routes.get(ref);
+    if (!polylines) return null;
+
+    let best = null;
+    for (const polyline of polylines) {
+        const from = project(polyline, start);
+        if (!from || from.offset > SNAP_TOLERANCE_M) continue;
+
+        const to = end ? project(polyline, end) : from;
+        if (!to || to.offset > SNAP_TOLERANCE_M) continue;
+
+        const offset = from.offset + to.offset;
+        if (!best || offset < best.offset) {
+            best = { polyline, from: from.along, to: to.along, offset };
+        }
+    }
+
+    return best;
+}
+
+// Path along the track from start to end as a function of t in [0, 1],
+// or null when the points don't both lie on the same part of the route
+export function buildRoutePath(ref, start, end) {
+    const snapped = snapToRoute(ref, start, end);
+    if (!snapped) return null;
+
+    const trackDistance = Math.abs(snapped.to - snapped.from);
+    if (trackDistance > distance(start, end) * MAX_DETOUR_FACTOR + MAX_DETOUR_SLACK_M) {
+        return null;
+    }
+
+    return (t) => pointAlong(snapped.polyline, snapped.from + (snapped.to - snapped.from) * t);
+}
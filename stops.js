@@ -0,0 +1,216 @@
+// Stations - Toggleable stop layer with live departure boards
+
+import { API_BASE } from './frontend-config.js';
+import { getLineColors } from './lineColors.js';
+import { formatTime } from './delay.js';
+
+// Below this zoom the layer would be thousands of dots
+const MIN_ZOOM = 14;
+// Drop stops outside the view once this many are loaded
+const MAX_STOPS = 500;
+const BOARD_REFRESH_MS = 30000;
+
+const stopMarkers = new Map(); // stopId -> circleMarker
+let stopsLayer = null;
+let callbacks = null;
+let toggle = null;
+let loadTimer = null;
+
+const STOP_STYLE = {
+    radius: 4,
+    color: '#ffffff',
+    weight: 1.5,
+    fillColor: '#1a1a2e',
+    fillOpacity: 1,
+    pane: 'stopsPane'
+};
+
+export function initStops(map, { onDepartureClick, isVehicleOnMap }) {
+    callbacks = { onDepartureClick, isVehicleOnMap };
+
+    toggle = document.getElementById('stops-toggle');
+    if (!toggle) {
+        console.warn('[Stops] Station toggle not found');
+        return;
+    }
+
+    // Between route lines and vehicle markers
+    map.createPane('stopsPane');
+    map.getPane('stopsPane').style.zIndex = 640;
+    stopsLayer = L.layerGroup();
+
+    toggle.addEventListener('change', () => {
+        if (toggle.checked) {
+            stopsLayer.addTo(map);
+            loadStops(map);
+        } else {
+            stopsLayer.removeFrom(map);
+        }
+    });
+
+    // Debounced so panning doesn't fire a lookup per frame
+    map.on('moveend', () => {
+        if (!toggle.checked) return;
+        clearTimeout(loadTimer);
+        loadTimer = setTimeout(() => loadStops(map), 300);
+    });
+}
+
+async function fetchNearbyStops(center, distance) {
+    const params = new URLSearchParams({
+        latitude: center.lat.toFixed(5),
+        longitude: center.lng.toFixed(5),
+        distance: Math.round(distance)
+    });
+
+    try {
+        const response = await fetch(`${API_BASE}/api/stops/nearby?${params}`);
+        if (!response.ok) {
+            console.error('[Stops] Failed to fetch stops:', response.status);
+            return [];
+        }
+
+        const data = await response.json();
+        return data.stops;
+    } catch (error) {
+        console.error('[Stops] Error fetching stops:', error.message);
+        return [];
+    }
+}
+
+async function loadStops(map) {
+    if (map.getZoom() < MIN_ZOOM) {
+        stopsLayer.removeFrom(map);
+        return;
+    }
+    stopsLayer.addTo(map);
+
+    const bounds = map.getBounds();
+    const center = bounds.getCenter();
+    const stops = await fetchNearbyStops(center, map.distance(center, bounds.getNorthEast()));
+
+    stops.forEach(stop => {
+        if (!stopMarkers.has(stop.id)) {
+            stopMarkers.set(stop.id, createStopMarker(stop));
+        }
+    });
+
+    if (stopMarkers.size > MAX_STOPS) {
+        for (const [id, marker] of stopMarkers.entries()) {
+            if (!bounds.contains(marker.getLatLng())) {
+                marker.removeFrom(stopsLayer);
+                stopMarkers.delete(id);
+            }
+        }
+    }
+}
+
+function createStopMarker(stop) {
+    // Popup content is a live element so departure clicks need one listener
+    const board = document.createElement('div');
+    board.className = 'departure-board';
+    board.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-trip-id]');
+        if (!row) return;
+
+        if (!callbacks.onDepartureClick(row.dataset.tripId)) {
+            row.classList.add('not-on-map');
+            row.title = 'Vehicle is not on the map';
+        }
+    });
+
+    const marker = L.circleMarker([stop.latitude, stop.longitude], STOP_STYLE)
+        .bindTooltip(document.createTextNode(stop.name), { direction: 'top' })
+        .bindPopup(board, { minWidth: 240, maxWidth: 280 })
+        .addTo(stopsLayer);
+
+    let refreshTimer = null;
+
+    marker.on('popupopen', () => {
+        board.replaceChildren(renderHeader(stop), element('p', 'line-stats-empty', 'Loading departures…'));
+        refreshBoard(marker, board, stop);
+        refreshTimer = setInterval(() => refreshBoard(marker, board, stop), BOARD_REFRESH_MS);
+    });
+
+    marker.on('popupclose', () => {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    });
+
+    return marker;
+}
+
+async function fetchDepartures(stopId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/stops/${encodeURIComponent(stopId)}/departures`);
+        if (!response.ok) {
+            console.error('[Stops] Failed to fetch departures:', response.status);
+            return null;
+        }
+
+        const data = await response.json();
+        return data.departures;
+    } catch (error) {
+        console.error('[Stops] Error fetching departures:', error.message);
+        return null;
+    }
+}
+
+async function refreshBoard(marker, board, stop) {
+    const departures = await fetchDepartures(stop.id);
+
+    // Popup may have been closed while fetching
+    if (!marker.isPopupOpen()) return;
+
+    board.replaceChildren(renderHeader(stop), ...renderDepartures(departures));
+    marker.getPopup().update();
+}
+
+// Stop names, lines and directions come from VBB, so they're set as text, never as markup
+function element(tag, className = null, text = null) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== null) node.textContent = text;
+    return node;
+}
+
+function renderHeader(stop) {
+    return element('div', 'line-stats-header', stop.name);
+}
+
+function renderDepartures(departures) {
+    if (!departures) {
+        return [element('p', 'line-stats-empty', 'Departures unavailable')];
+    }
+    if (departures.length === 0) {
+        return [element('p', 'line-stats-empty', 'No departures in the next 30 minutes')];
+    }
+
+    return departures.map(departure => {
+        const colors = getLineColors(departure.line.name, departure.line.type);
+        const minutes = departure.delay ? Math.round(departure.delay / 60) : 0;
+
+        const row = element('div', 'departure');
+        if (departure.cancelled) row.classList.add('cancelled');
+        if (callbacks.isVehicleOnMap(departure.tripId)) row.classList.add('on-map');
+        row.dataset.tripId = departure.tripId;
+
+        const badge = element('span', 'vehicle-badge', departure.line.name);
+        badge.style.background = colors.background;
+        badge.style.color = colors.text;
+
+        row.append(
+            badge,
+            element('span', 'departure-direction', departure.direction),
+            element('span', 'vehicle-time', formatTime(departure.when || departure.plannedWhen))
+        );
+
+        if (departure.cancelled) {
+            row.append(element('span', 'vehicle-delay late', 'cancelled'));
+        } else if (minutes !== 0) {
+            row.append(element('span', `vehicle-delay ${minutes > 0 ? 'late' : ''}`, `${minutes > 0 ? '+' : ''}${minutes}`));
+        }
+
+        return row;
+    });
+}
@@ -0,0 +1,127 @@
+// URL State - View state kept in the location hash so views can be shared,
+// and in localStorage so a reload without a hash returns to the last view
+
+const STORAGE_KEY = 'berlin-transit-map:view';
+// Hash keys that make up the view, anything else (e.g. trip) is left alone
+const VIEW_KEYS = ['map', 'vehicles', 'lines', 'pins', 'route'];
+
+function readParams() {
+    return new URLSearchParams(location.hash.slice(1));
+}
+
+function writeParams(params, push) {
+    const hash = params.toString();
+    const url = hash ? `#${hash}` : location.pathname + location.search;
+
+    if (push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+export function getHashParam(name) {
+    return readParams().get(name);
+}
+
+// null removes the parameter
+export function setHashParam(name, value) {
+    const params = readParams();
+    if (value === null || value === undefined) {
+        params.delete(name);
+    } else {
+        params.set(name, value);
+    }
+
+    writeParams(params, false);
+}
+
+// map=zoom/lat/lng
+function parseMapParam(value) {
+    if (!value) return null;
+
+    const [zoom, lat, lng] = value.split('/').map(Number);
+    if ([zoom, lat, lng].some(isNaN)) return null;
+
+    return { zoom, lat, lng };
+}
+
+// Lists are comma separated, an empty value means nothing is selected
+function parseList(value) {
+    if (value === null) return null;
+    return value === '' ? [] : value.split(',');
+}
+
+function fromParams(params) {
+    return {
+        map: parseMapParam(params.get('map')),
+        vehicles: parseList(params.get('vehicles')),
+        lines: parseList(params.get('lines')),
+        // No pins is the default, so an absent key clears them
+        pins: parseList(params.get('pins')) || [],
+        route: params.get('route') || null
+    };
+}
+
+function toParams(state, params) {
+    const { map, vehicles, lines, pins, route } = state;
+
+    params.set('map', `${map.zoom}/${map.lat.toFixed(5)}/${map.lng.toFixed(5)}`);
+    params.set('vehicles', vehicles.join(','));
+    params.set('lines', lines.join(','));
+    if (pins.length > 0) {
+        params.set('pins', pins.join(','));
+    } else {
+        params.delete('pins');
+    }
+    if (route) {
+        params.set('route', route);
+    } else {
+        params.delete('route');
+    }
+
+    return params;
+}
+
+function readStoredState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored ? fromParams(new URLSearchParams(stored)) : null;
+    } catch (error) {
+        console.warn('[URL State] Could not read saved view:', error.message);
+        return null;
+    }
+}
+
+// A shared link wins over the last saved view
+export function readViewState() {
+    const params = readParams();
+    if (VIEW_KEYS.some(key => params.has(key))) {
+        return fromParams(params);
+    }
+
+    return readStoredState() || fromParams(new URLSearchParams());
+}
+
+// push adds a history entry so back/forward steps through view changes
+export function saveViewState(state, { push = true } = {}) {
+    const current = readParams();
+    const params = toParams(state, new URLSearchParams(current));
+
+    if (params.toString() === current.toString()) return;
+
+    writeParams(params, push);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(toParams(state, new URLSearchParams()).toString()));
+    } catch (error) {
+        console.warn('[URL State] Could not save view:', error.message);
+    }
+}
+
+// Back/forward navigation
+export function onViewStateChange(callback) {
+    window.addEventListener('popstate', () => {
+        callback(fromParams(readParams()));
+    });
+}
@@ -12,9 +12,27 @@ function timestamp() {
 let fetchHistory = [];
 const MAX_HISTORY = 20;
 
+// Local copy of the backend cache, patched by delta updates
+const movementState = new Map();
+let stateVersion = null;
+
+// Server-side filter for /api/movements and the stream: { bbox: [west, south, east, north], types: [...] }
+let movementQuery = {};
+
+function buildQuery(extra = {}) {
+    const params = new URLSearchParams(extra);
+    if (movementQuery.bbox) params.set('bbox', movementQuery.bbox.map(value => value.toFixed(4)).join(','));
+    if (movementQuery.types) params.set('types', movementQuery.types.join(','));
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
 export async function getData() {
 
-    const url = `${API_BASE}/api/movements`;
+    // Ask only for changes once we hold a version of the cache
+    const query = buildQuery(stateVersion === null ? {} : { since: stateVersion });
+    const url = `${API_BASE}/api/movements${query}`;
     const tag = '[Frontend]';
     const fetchStart = Date.now();
 
@@ -30,49 +48,8 @@ export async function getData() {
             throw new Error(`Response status ${response.status}`);
         }
 
-        const result = await response.json();
-        const movementCount = result.movements?.length || 0;
-        const cacheAge = result.meta?.ageMs || 0;
-        const isHealthy = result.meta?.isHealthy;
-
-        // Detailed logging
-        console.log(`${tag} [${timestamp()}] Response received:`);
-        console.log(`${tag}   └─ Movements: ${movementCount}`);
-        console.log(`${tag}   └─ Cache age: ${cacheAge}ms`);
-        console.log(`${tag}   └─ Cache healthy: ${isHealthy}`);
-        console.log(`${tag}   └─ Fetch duration: ${fetchDuration}ms`);
-
-        // Track history for debugging
-        fetchHistory.push({
-            time: timestamp(),
-            count: movementCount,
-            cacheAge,
-            isHealthy,
-            fetchDuration
-        });
-        if (fetchHistory.length > MAX_HISTORY) fetchHistory.shift();
-
-        // Alert when we get 0 movements
-        if (movementCount === 0) {
-            console.warn(`${tag} [${timestamp()}] ⚠️ ZERO MOVEMENTS RECEIVED!`);
-            console.warn(`${tag}   └─ Cache age: ${cacheAge}ms (stale if > 60000)`);
-            console.warn(`${tag}   └─ Last ${fetchHistory.length} fetches:`,
-                fetchHistory.map(h => `${h.count} @ ${h.time}`).join(', '));
-        }
-
-        // DIAGNOSTIC: Track timing pattern
-        // Only teleport if backend has missed 2+ polling cycles
-        const isStale = cacheAge > 40000;
-        if (isStale) {
-            console.warn(`${tag} ⚠️ STALE DETECTED: Cache age ${cacheAge}ms exceeds 40s threshold (backend likely down)`);
-        }
-
-        // Return both movements and cache age so frontend can decide animation strategy
-        return {
-            movements: result.movements || [],
-            cacheAge: cacheAge,
-            isStale: isStale  // Pre-calculate if cache is stale (>15 seconds)
-        };
+        const result = applyPayload(await response.json());
+        return processResult(result, fetchDuration);
     } catch (error) {
         console.error(`${tag} [${timestamp()}] Fetch Error: ${error.message}`);
         fetchHistory.push({
@@ -82,10 +59,183 @@ export async function getData() {
         });
         return { movements: [], cacheAge: 0, isStale: false };
     }
+}
+
+// Merge a full snapshot or a delta into the local state, returns the full movement list
+function applyPayload(payload) {
+    const tag = '[Frontend]';
+
+    if (payload.delta) {
+        const { added, moved, removed } = payload.delta;
+        console.log(`${tag} [${timestamp()}] Delta since v${payload.delta.since}: +${added.length} ~${moved.length} -${removed.length}`);
+
+        for (const movement of [...added, ...moved]) {
+            movementState.set(movement.tripId, movement);
+        }
+        for (const tripId of removed) {
+            movementState.delete(tripId);
+        }
+    } else {
+        movementState.clear();
+        for (const movement of payload.movements || []) {
+            movementState.set(movement.tripId, movement);
+        }
+    }
+
+    stateVersion = payload.meta?.version ?? null;
+
+    return {
+        movements: Array.from(movementState.values()),
+        meta: payload.meta
+    };
+}
+
+// Shared handling for polled and streamed /api/movements payloads
+function processResult(result, fetchDuration) {
+    const tag = '[Frontend]';
+    const movementCount = result.movements?.length || 0;
+    const cacheAge = result.meta?.ageMs || 0;
+    const isHealthy = result.meta?.isHealthy;
+
+    // Detailed logging
+    console.log(`${tag} [${timestamp()}] Response received:`);
+    console.log(`${tag}   └─ Movements: ${movementCount}`);
+    console.log(`${tag}   └─ Cache age: ${cacheAge}ms`);
+    console.log(`${tag}   └─ Cache healthy: ${isHealthy}`);
+    console.log(`${tag}   └─ Fetch duration: ${fetchDuration}ms`);
+
+    // Track history for debugging
+    fetchHistory.push({
+        time: timestamp(),
+        count: movementCount,
+        cacheAge,
+        isHealthy,
+        fetchDuration
+    });
+    if (fetchHistory.length > MAX_HISTORY) fetchHistory.shift();
+
+    // Alert when we get 0 movements
+    if (movementCount === 0) {
+        console.warn(`${tag} [${timestamp()}] ⚠️ ZERO MOVEMENTS RECEIVED!`);
+        console.warn(`${tag}   └─ Cache age: ${cacheAge}ms (stale if > 60000)`);
+        console.warn(`${tag}   └─ Last ${fetchHistory.length} fetches:`,
+            fetchHistory.map(h => `${h.count} @ ${h.time}`).join(', '));
+    }
+
+    // DIAGNOSTIC: Track timing pattern
+    // Only teleport if backend has missed 2+ polling cycles
+    const isStale = cacheAge > 40000 || result.meta?.isStale === true;
+    if (isStale) {
+        console.warn(`${tag} ⚠️ STALE DETECTED: Cache age ${cacheAge}ms exceeds 40s threshold (backend likely down)`);
+    }
+
+    // Return both movements and cache age so frontend can decide animation strategy
+    return {
+        movements: result.movements || [],
+        cacheAge: cacheAge,
+        isStale: isStale  // Pre-calculate if cache is stale (>15 seconds)
+    };
+}
+
+// Live updates: Server-Sent Events with polling fallback
+
+const POLL_INTERVAL_MS = 20000;
+const STREAM_RETRY_MS = 60000;
+
+let eventSource = null;
+let pollTimer = null;
+let retryTimer = null;
+let currentOnData = null;
+
+// Call onData with every new movement snapshot. Uses the backend stream when
+// available and falls back to polling getData() while the stream is down.
+export function subscribeToMovements(onData) {
+    const tag = '[Stream]';
+    currentOnData = onData;
+
+    if (typeof EventSource === 'undefined') {
+        console.warn(`${tag} [${timestamp()}] EventSource not supported - polling instead`);
+        startPolling(onData);
+        return;
+    }
 
+    const url = `${API_BASE}/api/movements/stream${buildQuery()}`;
+    console.log(`${tag} [${timestamp()}] Connecting to: ${url}`);
 
+    eventSource = new EventSource(url);
 
+    eventSource.addEventListener('open', () => {
+        console.log(`${tag} [${timestamp()}] Connected`);
+        stopPolling();
+    });
 
+    // Full snapshot on connect, deltas afterwards
+    const handleEvent = (event) => {
+        try {
+            const result = applyPayload(JSON.parse(event.data));
+            onData(processResult(result, 0));
+        } catch (error) {
+            console.error(`${tag} [${timestamp()}] Invalid event payload: ${error.message}`);
+        }
+    };
+    eventSource.addEventListener('movements', handleEvent);
+    eventSource.addEventListener('delta', handleEvent);
+
+    eventSource.addEventListener('error', () => {
+        console.warn(`${tag} [${timestamp()}] Stream dropped - falling back to polling`);
+        eventSource.close();
+        eventSource = null;
+        startPolling(onData);
+
+        // Try the stream again later
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => subscribeToMovements(onData), STREAM_RETRY_MS);
+    });
+}
 
+// Change the server-side filter. Live updates restart from a full snapshot,
+// since vehicles that were outside the old area never appeared in a delta.
+export function setMovementQuery(query) {
+    movementQuery = query;
+
+    const isLive = eventSource !== null || pollTimer !== null;
+    if (isLive && currentOnData) {
+        const onData = currentOnData;
+        stopMovementUpdates();
+        subscribeToMovements(onData);
+    } else {
+        movementState.clear();
+        stateVersion = null;
+    }
 }
 
+// Stop live updates entirely, e.g. while replaying recorded data
+export function stopMovementUpdates() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    stopPolling();
+
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+
+    // The next subscription starts from a full snapshot
+    movementState.clear();
+    stateVersion = null;
+}
+
+function startPolling(onData) {
+    if (pollTimer) return;
+
+    const poll = async () => onData(await getData());
+    poll();
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+    if (!pollTimer) return;
+
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
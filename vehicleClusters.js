@@ -0,0 +1,90 @@
+// Vehicle Clusters - Vehicle counts per product type instead of single dots at city-wide zoom
+
+// Vehicles within one cell of this many screen pixels are grouped
+const CELL_PX = 80;
+
+let clusterLayer = null;
+let callbacks = null;
+let typeColors = {};
+let visible = false;
+
+export function initClusters(map, { getVehicles, colors }) {
+    callbacks = { getVehicles };
+    typeColors = colors;
+    clusterLayer = L.layerGroup();
+
+    map.on('moveend', () => updateClusters(map));
+}
+
+export function setClustersVisible(map, show) {
+    visible = show;
+
+    if (show) {
+        clusterLayer.addTo(map);
+        updateClusters(map);
+    } else {
+        clusterLayer.removeFrom(map);
+        clusterLayer.clearLayers();
+    }
+}
+
+// Rebuild the clusters from the vehicles currently passing the filters
+export function updateClusters(map) {
+    if (!visible) return;
+
+    const zoom = map.getZoom();
+    const bounds = map.getBounds().pad(0.2);
+    const cells = new Map();
+
+    for (const { latLng, type } of callbacks.getVehicles()) {
+        if (!bounds.contains(latLng)) continue;
+
+        const point = map.project(latLng, zoom);
+        const key = `${Math.floor(point.x / CELL_PX)}:${Math.floor(point.y / CELL_PX)}`;
+
+        if (!cells.has(key)) {
+            cells.set(key, { x: 0, y: 0, count: 0, types: {} });
+        }
+        const cell = cells.get(key);
+        cell.x += point.x;
+        cell.y += point.y;
+        cell.count++;
+        cell.types[type] = (cell.types[type] || 0) + 1;
+    }
+
+    clusterLayer.clearLayers();
+
+    cells.forEach(cell => {
+        const center = map.unproject([cell.x / cell.count, cell.y / cell.count], zoom);
+        const marker = L.marker(center, {
+            icon: buildIcon(cell),
+            pane: 'markersPane',
+            title: describe(cell)
+        });
+
+        // Zoom in towards the cluster until it breaks up
+        marker.on('click', () => map.setView(center, zoom + 2));
+        clusterLayer.addLayer(marker);
+    });
+}
+
+function buildIcon(cell) {
+    // Types in legend order, one coloured count each
+    const segments = Object.keys(typeColors)
+        .filter(type => cell.types[type])
+        .map(type => `<span style="background: ${typeColors[type]};">${cell.types[type]}</span>`)
+        .join('');
+
+    return L.divIcon({
+        className: 'vehicle-cluster',
+        // Inner element so it can be centred, Leaflet positions the outer one
+        html: `<div class="vehicle-cluster-body">${segments}</div>`,
+        iconSize: null
+    });
+}
+
+function describe(cell) {
+    return Object.entries(cell.types)
+        .map(([type, count]) => `${count} ${type}`)
+        .join(', ');
+}
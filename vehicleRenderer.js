@@ -0,0 +1,158 @@
+// Vehicle Renderer - Every vehicle is drawn on one shared canvas and moved by one animation clock
+
+// Zoom bands: clusters up to CLUSTER_MAX_ZOOM, scaled arrows in between,
+// arrows with line badges from DETAIL_MIN_ZOOM
+export const CLUSTER_MAX_ZOOM = 11;
+export const DETAIL_MIN_ZOOM = 15;
+
+export function isClusterZoom(zoom) {
+    return zoom <= CLUSTER_MAX_ZOOM;
+}
+
+export function isDetailZoom(zoom) {
+    return zoom >= DETAIL_MIN_ZOOM;
+}
+
+// 6px at the default zoom of 13, growing and shrinking by a pixel per zoom level
+export function getMarkerRadius(zoom) {
+    return Math.max(3, Math.min(8, zoom - 7));
+}
+
+// Room around the dot for the line badge, so partial canvas redraws clear it
+const DETAIL_PADDING = L.point(60, 14);
+// Half-angle of the arrow's round back, the rest narrows to the tip
+const ARROW_BACK_ANGLE = 0.75 * Math.PI;
+const ARROW_TIP_FACTOR = 1.9;
+const MUTED_BADGE = { background: '#999999', text: '#ffffff' };
+
+// Vehicles keep the circle marker API (setLatLng, setStyle, bindPopup, click events),
+// but are painted by a single canvas renderer instead of one SVG node each.
+// Extra options:
+//   heading  degrees clockwise from north, draws an arrow instead of a dot
+//   label, badge  line name and its { background, text } colours, shown when detailed
+//   muted    missed vehicles, the badge turns grey like the arrow
+const VehicleMarker = L.CircleMarker.extend({
+    options: {
+        heading: null,
+        label: null,
+        badge: null,
+        detailed: false,
+        muted: false
+    },
+
+    setHeading(heading) {
+        this.options.heading = heading;
+        return this.redraw();
+    },
+
+    _updateBounds() {
+        L.CircleMarker.prototype._updateBounds.call(this);
+        if (!this._pxBounds) return;
+
+        // The arrow tip reaches past the radius
+        const padding = this.options.detailed
+            ? DETAIL_PADDING
+            : L.point(this._radius, this._radius);
+
+        this._pxBounds = new L.Bounds(
+            this._pxBounds.min.subtract(padding),
+            this._pxBounds.max.add(padding)
+        );
+    },
+
+    _updatePath() {
+        const renderer = this._renderer;
+        if (!renderer._drawing || this._empty()) return;
+
+        if (this.options.heading === null || this.options.heading === undefined) {
+            renderer._updateCircle(this);
+        } else {
+            traceArrow(renderer._ctx, this);
+            renderer._fillStroke(renderer._ctx, this);
+        }
+
+        if (this.options.detailed && this.options.label) {
+            drawBadge(renderer._ctx, this);
+        }
+    }
+});
+
+// Round back with a point towards the heading
+function traceArrow(ctx, marker) {
+    const { x, y } = marker._point;
+    const radius = Math.max(Math.round(marker._radius), 1);
+    // Canvas angles start at east and run clockwise
+    const angle = (marker.options.heading - 90) * Math.PI / 180;
+    const tip = radius * ARROW_TIP_FACTOR;
+
+    ctx.beginPath();
+    ctx.moveTo(x + Math.cos(angle) * tip, y + Math.sin(angle) * tip);
+    ctx.arc(x, y, radius, angle + (Math.PI - ARROW_BACK_ANGLE), angle - (Math.PI - ARROW_BACK_ANGLE) + 2 * Math.PI, false);
+    ctx.closePath();
+}
+
+// Line name in its line colours, to the right of the vehicle
+function drawBadge(ctx, marker) {
+    const { x, y } = marker._point;
+    const { label, muted } = marker.options;
+    const colors = muted ? MUTED_BADGE : (marker.options.badge || MUTED_BADGE);
+
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textBaseline = 'middle';
+
+    const width = ctx.measureText(label).width + 8;
+    const height = 14;
+    const left = x + marker._radius * ARROW_TIP_FACTOR + 2;
+
+    ctx.globalAlpha = muted ? 0.7 : 1;
+    ctx.fillStyle = colors.background;
+    ctx.beginPath();
+    ctx.rect(left, y - height / 2, width, height);
+    ctx.fill();
+
+    ctx.fillStyle = colors.text;
+    ctx.fillText(label, left + 4, y + 0.5);
+    ctx.globalAlpha = 1;
+}
+
+export function createVehicleRenderer(pane) {
+    // tolerance widens the click target around the small dots
+    return L.canvas({ pane: pane, padding: 0.5, tolerance: 4 });
+}
+
+export function vehicleMarker(latLng, options) {
+    return new VehicleMarker(latLng, options);
+}
+
+// Shared animation clock: marker -> step(now) returning { latLng, done }.
+// One requestAnimationFrame loop advances every moving vehicle, and the canvas
+// renderer batches their redraws into one repaint per frame.
+const animations = new Map();
+let frame = null;
+
+export function startAnimation(marker, step) {
+    animations.set(marker, step);
+
+    if (frame === null) {
+        frame = requestAnimationFrame(tick);
+    }
+}
+
+export function stopAnimation(marker) {
+    animations.delete(marker);
+}
+
+function tick() {
+    const now = performance.now();
+
+    for (const [marker, step] of animations) {
+        const { latLng, done } = step(now);
+        marker.setLatLng(latLng);
+
+        if (done) {
+            animations.delete(marker);
+        }
+    }
+
+    frame = animations.size > 0 ? requestAnimationFrame(tick) : null;
+}